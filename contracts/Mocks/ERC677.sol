@@ -701,6 +701,8 @@ contract PermittableToken is ERC677BridgeToken {
   bytes32 public DOMAIN_SEPARATOR;
   // bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)");
   bytes32 public constant PERMIT_TYPEHASH = 0xea2aa0a1be11a07ed86d755c93467f4f82362b452371d1ba94d1715123511acb;
+  // bytes32 public constant PERMIT_TYPEHASH_EIP2612 = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+  bytes32 public constant PERMIT_TYPEHASH_EIP2612 = 0x6e71edae12b1b97f4d1f60370fef10105fa2faae0126114a169c64845d6126c9;
 
   mapping(address => uint256) public nonces;
   mapping(address => mapping(address => uint256)) public expirations;
@@ -837,6 +839,41 @@ contract PermittableToken is ERC677BridgeToken {
     emit Approval(_holder, _spender, amount);
   }
 
+  /// @dev Allows to spend holder's tokens by the specified spender according to EIP2612.
+  /// @param _holder The holder's address.
+  /// @param _spender The spender's address.
+  /// @param _value Allowance value to set as a result of the call.
+  /// @param _deadline The deadline timestamp to call the permit function.
+  /// @param _v A final byte of signature (ECDSA component).
+  /// @param _r The first 32 bytes of signature (ECDSA component).
+  /// @param _s The second 32 bytes of signature (ECDSA component).
+  function permit(
+    address _holder,
+    address _spender,
+    uint256 _value,
+    uint256 _deadline,
+    uint8 _v,
+    bytes32 _r,
+    bytes32 _s
+  ) external {
+    require(_now() <= _deadline);
+
+    bytes32 digest = keccak256(
+      abi.encodePacked(
+        "\x19\x01",
+        DOMAIN_SEPARATOR,
+        keccak256(abi.encode(PERMIT_TYPEHASH_EIP2612, _holder, _spender, _value, nonces[_holder]++, _deadline))
+      )
+    );
+
+    require(_holder == ecrecover(digest, _v, _r, _s));
+
+    allowed[_holder][_spender] = _value;
+    expirations[_holder][_spender] = 0;
+
+    emit Approval(_holder, _spender, _value);
+  }
+
   function _now() internal view returns (uint256) {
     return now;
   }
@@ -2,6 +2,7 @@
 pragma solidity ^0.7.0;
 pragma abicoder v2;
 
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import { IAMB, IOmniBridge } from "../interfaces/IBridge.sol";
 
 contract MockOmniBridge is IOmniBridge {
@@ -50,6 +51,19 @@ contract MockOmniBridge is IOmniBridge {
     return true;
   }
 
+  event RelayTokensAndCall(address token, address receiver, uint256 value, bytes data);
+
+  /// @dev locks tokens, the test relays them on the other side with `execute`
+  function relayTokensAndCall(
+    address _token,
+    address _receiver,
+    uint256 _value,
+    bytes memory _data
+  ) external {
+    IERC20(_token).transferFrom(msg.sender, address(this), _value);
+    emit RelayTokensAndCall(_token, _receiver, _value, _data);
+  }
+
   function bytesToAddress(bytes memory _bytes) internal pure returns (address addr) {
     assembly {
       addr := mload(add(_bytes, 20))
@@ -26,6 +26,8 @@ contract TornadoPool is MerkleTreeWithHistory, IERC20Receiver, ReentrancyGuard,
   int256 public constant MAX_EXT_AMOUNT = 2**248;
   uint256 public constant MAX_FEE = 2**248;
   uint256 public constant MIN_EXT_AMOUNT_LIMIT = 0.5 ether;
+  bytes32 public constant REGISTRATION_TYPEHASH =
+    keccak256("Registration(address owner,bytes publicKey,uint256 nonce,uint256 deadline)");
 
   IVerifier public immutable verifier2;
   IVerifier public immutable verifier16;
@@ -38,6 +40,7 @@ contract TornadoPool is MerkleTreeWithHistory, IERC20Receiver, ReentrancyGuard,
   uint256 public __gap; // storage padding to prevent storage collision
   uint256 public maximumDepositAmount;
   mapping(bytes32 => bool) public nullifierHashes;
+  mapping(address => uint256) public registrationNonces;
 
   struct ExtData {
     address recipient;
@@ -126,11 +129,72 @@ contract TornadoPool is MerkleTreeWithHistory, IERC20Receiver, ReentrancyGuard,
     _transact(_args, _extData);
   }
 
+  /**
+   * @dev Deposit without a prior approve, the depositor signs EIP-2612 permit for the deposit amount.
+   * Anyone can submit the permit from the mempool first, so it is skipped if the allowance is already set
+   */
+  function transactWithPermit(
+    Proof memory _args,
+    ExtData memory _extData,
+    uint256 _deadline,
+    uint8 _v,
+    bytes32 _r,
+    bytes32 _s
+  ) public {
+    require(_extData.extAmount > 0, "permit is used only for deposits");
+    if (token.allowance(msg.sender, address(this)) < uint256(_extData.extAmount)) {
+      token.permit(msg.sender, address(this), uint256(_extData.extAmount), _deadline, _v, _r, _s);
+    }
+    transact(_args, _extData);
+  }
+
   function register(Account memory _account) public {
     require(_account.owner == msg.sender, "only owner can be registered");
     _register(_account);
   }
 
+  /** @dev Registers account with EIP-712 signature of its owner, so anyone can pay gas for the registration */
+  function registerWithSignature(
+    Account memory _account,
+    uint256 _deadline,
+    uint8 _v,
+    bytes32 _r,
+    bytes32 _s
+  ) public {
+    require(block.timestamp <= _deadline, "registration signature expired");
+    bytes32 structHash = keccak256(
+      abi.encode(
+        REGISTRATION_TYPEHASH,
+        _account.owner,
+        keccak256(_account.publicKey),
+        registrationNonces[_account.owner]++,
+        _deadline
+      )
+    );
+    bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    address signer = ecrecover(digest, _v, _r, _s);
+    require(signer != address(0) && signer == _account.owner, "invalid registration signature");
+    _register(_account);
+  }
+
+  /** @dev EIP-712 domain separator of registration signatures, computed for the proxy address */
+  function domainSeparator() public view returns (bytes32) {
+    uint256 chainId;
+    assembly {
+      chainId := chainid()
+    }
+    return
+      keccak256(
+        abi.encode(
+          keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+          keccak256("TornadoPool"),
+          keccak256("1"),
+          chainId,
+          address(this)
+        )
+      );
+  }
+
   function registerAndTransact(
     Account memory _account,
     Proof memory _proofArgs,
@@ -19,6 +19,16 @@ interface IERC6777 is IERC20 {
     uint256,
     bytes calldata
   ) external returns (bool);
+
+  function permit(
+    address owner,
+    address spender,
+    uint256 value,
+    uint256 deadline,
+    uint8 v,
+    bytes32 r,
+    bytes32 s
+  ) external;
 }
 
 interface IERC20Receiver {
@@ -15,7 +15,7 @@ async function deploy({ address, bytecode, singletonFactory }) {
 
 async function main() {
   const singletonFactory = await ethers.getContractAt('SingletonFactory', config.singletonFactory)
-  const contracts = await generate()
+  const contracts = generate()
   await deploy({ ...contracts.poolContract, singletonFactory })
   console.log(`Upgraded pool contract have been deployed on ${contracts.poolContract.address} address`)
 }
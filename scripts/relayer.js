@@ -0,0 +1,33 @@
+const { ethers } = require('hardhat')
+const { Relayer, createRelayerServer } = require('../src/relayer')
+
+// This script runs a relayer for the pool at POOL_ADDRESS, e.g. against a local node:
+// POOL_ADDRESS=0x... npx hardhat run scripts/relayer.js --network localhost
+// RELAYER_NATIVE_PRICE is the price of 1 native coin in pool tokens, e.g. 0.0003 for xDAI in a WETH pool.
+// Fees are quoted as if the price is 1 when it is not set
+// Signed registrations carry no fee, the relayer pays their gas only with RELAYER_SPONSOR_REGISTRATIONS=true,
+// up to RELAYER_REGISTRATION_LIMIT per client IP address per hour
+
+async function main() {
+  const [signer] = await ethers.getSigners()
+  if (!process.env.RELAYER_NATIVE_PRICE) {
+    console.warn('RELAYER_NATIVE_PRICE is not set, fees are quoted at 1 pool token per native coin')
+  }
+  const tornadoPool = await ethers.getContractAt('TornadoPool', process.env.POOL_ADDRESS)
+  const relayer = new Relayer({
+    tornadoPool,
+    signer,
+    nativePrice: ethers.utils.parseEther(process.env.RELAYER_NATIVE_PRICE || '1'),
+    feeMargin: Number(process.env.RELAYER_FEE_MARGIN || 10),
+    sponsorRegistrations: process.env.RELAYER_SPONSOR_REGISTRATIONS === 'true',
+    registrationLimit: Number(process.env.RELAYER_REGISTRATION_LIMIT || 5),
+  })
+  const port = Number(process.env.RELAYER_PORT || 8000)
+  createRelayerServer(relayer).listen(port)
+  console.log(`Relayer ${signer.address} is listening on port ${port}`)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
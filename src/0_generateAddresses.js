@@ -1,10 +1,16 @@
-const { ethers } = require('hardhat')
+const { ethers } = require('ethers')
 const defaultConfig = require('../config')
 
-async function generate(config = defaultConfig) {
-  const singletonFactory = await ethers.getContractAt('SingletonFactory', config.singletonFactory)
+/** Contract factory from the compiled artifact, run `yarn compile` first */
+function getContractFactory(artifactPath) {
+  const { abi, bytecode } = require(`../artifacts/contracts/${artifactPath}`)
+  return new ethers.ContractFactory(abi, bytecode)
+}
+
+function generate(config = defaultConfig) {
+  const singletonFactory = { address: config.singletonFactory }
 
-  const UnwrapperFactory = await ethers.getContractFactory('L1Unwrapper')
+  const UnwrapperFactory = getContractFactory('bridge/L1Unwrapper.sol/L1Unwrapper.json')
   const deploymentBytecodeUnwrapper =
     UnwrapperFactory.bytecode +
     UnwrapperFactory.interface.encodeDeploy([config.omniBridge, config.weth, config.multisig]).slice(2)
@@ -15,7 +21,7 @@ async function generate(config = defaultConfig) {
     ethers.utils.keccak256(deploymentBytecodeUnwrapper),
   )
 
-  const PoolFactory = await ethers.getContractFactory('TornadoPool')
+  const PoolFactory = getContractFactory('TornadoPool.sol/TornadoPool.json')
   const deploymentBytecodePool =
     PoolFactory.bytecode +
     PoolFactory.interface
@@ -55,8 +61,8 @@ async function generate(config = defaultConfig) {
   return result
 }
 
-async function generateWithLog() {
-  const contracts = await generate()
+function generateWithLog() {
+  const contracts = generate()
   console.log('L1 unwrapper contract: ', contracts.unwrapperContract.address)
   console.log('Upgraded pool contract: ', contracts.poolContract.address)
   return contracts
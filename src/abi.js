@@ -0,0 +1,69 @@
+const { PROOF_TUPLE, EXT_DATA_TUPLE } = require('./utils')
+
+// Human-readable ABIs of the deployed contracts, so the package works without compiled artifacts
+const ACCOUNT_TUPLE = 'tuple(address owner,bytes publicKey)'
+
+const TORNADO_POOL_ABI = [
+  'event NewCommitment(bytes32 commitment, uint256 index, bytes encryptedOutput)',
+  'event NewNullifier(bytes32 nullifier)',
+  'event PublicKey(address indexed owner, bytes key)',
+
+  'function FIELD_SIZE() view returns (uint256)',
+  'function ZERO_VALUE() view returns (uint256)',
+  'function ROOT_HISTORY_SIZE() view returns (uint32)',
+  'function MAX_EXT_AMOUNT() view returns (int256)',
+  'function MAX_FEE() view returns (uint256)',
+  'function MIN_EXT_AMOUNT_LIMIT() view returns (uint256)',
+  'function REGISTRATION_TYPEHASH() view returns (bytes32)',
+  'function verifier2() view returns (address)',
+  'function verifier16() view returns (address)',
+  'function hasher() view returns (address)',
+  'function token() view returns (address)',
+  'function omniBridge() view returns (address)',
+  'function l1Unwrapper() view returns (address)',
+  'function multisig() view returns (address)',
+  'function ambBridge() view returns (address)',
+  'function ownerChainId() view returns (bytes32)',
+  'function owner() view returns (address)',
+  'function levels() view returns (uint32)',
+  'function lastBalance() view returns (uint256)',
+  'function maximumDepositAmount() view returns (uint256)',
+  'function nullifierHashes(bytes32) view returns (bool)',
+  'function registrationNonces(address) view returns (uint256)',
+  'function filledSubtrees(uint256) view returns (bytes32)',
+  'function roots(uint256) view returns (bytes32)',
+  'function currentRootIndex() view returns (uint32)',
+  'function nextIndex() view returns (uint32)',
+
+  `function transact(${PROOF_TUPLE} _args, ${EXT_DATA_TUPLE} _extData)`,
+  `function transactWithPermit(${PROOF_TUPLE} _args, ${EXT_DATA_TUPLE} _extData, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)`,
+  `function register(${ACCOUNT_TUPLE} _account)`,
+  `function registerWithSignature(${ACCOUNT_TUPLE} _account, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)`,
+  `function registerAndTransact(${ACCOUNT_TUPLE} _account, ${PROOF_TUPLE} _proofArgs, ${EXT_DATA_TUPLE} _extData)`,
+  'function onTokenBridged(address _token, uint256 _amount, bytes _data)',
+  `function onTransact(${PROOF_TUPLE} _args, ${EXT_DATA_TUPLE} _extData)`,
+  'function rescueTokens(address _token, address _to, uint256 _balance)',
+  'function configureLimits(uint256 _maximumDepositAmount)',
+  'function initialize(uint256 _maximumDepositAmount)',
+  'function domainSeparator() view returns (bytes32)',
+  'function calculatePublicAmount(int256 _extAmount, uint256 _fee) pure returns (uint256)',
+  'function isSpent(bytes32 _nullifierHash) view returns (bool)',
+  `function verifyProof(${PROOF_TUPLE} _args) view returns (bool)`,
+  'function hashLeftRight(bytes32 _left, bytes32 _right) view returns (bytes32)',
+  'function isKnownRoot(bytes32 _root) view returns (bool)',
+  'function getLastRoot() view returns (bytes32)',
+  'function zeros(uint256 i) pure returns (bytes32)',
+  'function isCalledByOwner() returns (bool)',
+]
+
+const L1_UNWRAPPER_ABI = [
+  'event PublicKey(address indexed owner, bytes key)',
+
+  'function l1FeeReceiver() view returns (address)',
+  `function register(${ACCOUNT_TUPLE} _account)`,
+  `function wrapAndRelayTokens(address _receiver, bytes _data, ${ACCOUNT_TUPLE} _account) payable`,
+  'function onTokenBridged(address _token, uint256 _value, bytes _data)',
+  'function setL1FeeReceiver(address _receiver)',
+]
+
+module.exports = { TORNADO_POOL_ABI, L1_UNWRAPPER_ABI }
@@ -0,0 +1,130 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex } = require('./utils')
+
+const ADDRESS_PREFIX = 'nova'
+const ADDRESS_VERSION = 1
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+// bech32m constant from BIP-350
+const BECH32M_CONST = 0x2bc830a3
+
+function polymod(values) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+  let chk = 1
+  for (const value of values) {
+    const top = chk >> 25
+    chk = ((chk & 0x1ffffff) << 5) ^ value
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        chk ^= generator[i]
+      }
+    }
+  }
+  return chk >>> 0
+}
+
+function expandPrefix(prefix) {
+  const chars = [...prefix].map((c) => c.charCodeAt(0))
+  return [...chars.map((c) => c >> 5), 0, ...chars.map((c) => c & 31)]
+}
+
+function createChecksum(prefix, words) {
+  const mod = polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ BECH32M_CONST
+  return [...Array(6).keys()].map((i) => (mod >>> (5 * (5 - i))) & 31)
+}
+
+function convertBits(data, fromBits, toBits, pad) {
+  let acc = 0
+  let bits = 0
+  const result = []
+  const maxValue = (1 << toBits) - 1
+  for (const value of data) {
+    acc = (acc << fromBits) | value
+    bits += fromBits
+    while (bits >= toBits) {
+      bits -= toBits
+      result.push((acc >> bits) & maxValue)
+    }
+  }
+  if (pad && bits > 0) {
+    result.push((acc << (toBits - bits)) & maxValue)
+  } else if (!pad && (bits >= fromBits || (acc << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid address padding')
+  }
+  return result
+}
+
+/**
+ * Encode shielded address as a bech32m string with `nova` prefix. The payload consists of the version byte,
+ * 4 bytes of chain id, Poseidon public key and x25519 encryption key
+ *
+ * @param {BigNumber} pubkey Poseidon public key
+ * @param {string} encryptionKey base64 encoded x25519 public key
+ * @param {number} chainId chain id of the pool the address is used with
+ * @returns {string}
+ */
+function encodeAddress({ pubkey, encryptionKey, chainId }) {
+  const bytes = ethers.utils.concat([
+    [ADDRESS_VERSION],
+    ethers.utils.hexZeroPad(BigNumber.from(chainId).toHexString(), 4),
+    toFixedHex(pubkey),
+    Buffer.from(encryptionKey, 'base64'),
+  ])
+  const words = convertBits(bytes, 8, 5, true)
+  return (
+    ADDRESS_PREFIX +
+    '1' +
+    [...words, ...createChecksum(ADDRESS_PREFIX, words)].map((x) => CHARSET[x]).join('')
+  )
+}
+
+/**
+ * Decode and verify the checksum of an address produced by {@link encodeAddress}
+ *
+ * @param {string} str
+ * @returns {{version: number, chainId: number, pubkey: BigNumber, encryptionKey: string}}
+ */
+function decodeAddress(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Address should not be mixed case')
+  }
+  str = str.toLowerCase()
+  const separator = str.lastIndexOf('1')
+  if (str.slice(0, separator) !== ADDRESS_PREFIX) {
+    throw new Error(`Address should start with ${ADDRESS_PREFIX}1`)
+  }
+  const words = [...str.slice(separator + 1)].map((c) => CHARSET.indexOf(c))
+  if (words.length < 6 || words.includes(-1)) {
+    throw new Error('Address contains invalid characters')
+  }
+  if (polymod([...expandPrefix(ADDRESS_PREFIX), ...words]) !== BECH32M_CONST) {
+    throw new Error('Invalid address checksum')
+  }
+
+  const bytes = Buffer.from(convertBits(words.slice(0, -6), 5, 8, false))
+  if (bytes[0] !== ADDRESS_VERSION) {
+    throw new Error(`Unsupported address version ${bytes[0]}`)
+  }
+  if (bytes.length !== 69) {
+    throw new Error('Invalid address length')
+  }
+  return {
+    version: bytes[0],
+    chainId: bytes.readUInt32BE(1),
+    pubkey: BigNumber.from(bytes.slice(5, 37)),
+    encryptionKey: bytes.slice(37, 69).toString('base64'),
+  }
+}
+
+/**
+ * Check if a string looks like an address produced by {@link encodeAddress}, the checksum is not verified
+ *
+ * @param {string} str
+ * @returns {boolean}
+ */
+function isEncodedAddress(str) {
+  return str.toLowerCase().startsWith(ADDRESS_PREFIX + '1')
+}
+
+module.exports = { encodeAddress, decodeAddress, isEncodedAddress, ADDRESS_PREFIX, ADDRESS_VERSION }
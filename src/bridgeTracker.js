@@ -0,0 +1,199 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex, queryEvents, PROOF_TUPLE, EXT_DATA_TUPLE } = require('./utils')
+const { simulateTransaction } = require('./simulate')
+
+const CLAIM_VERSION = 1
+
+const abi = new ethers.utils.AbiCoder()
+const bridgeInterface = new ethers.utils.Interface([
+  'function wrapAndRelayTokens(address _receiver, bytes _data, tuple(address owner, bytes publicKey) _account)',
+  'function relayTokensAndCall(address token, address _receiver, uint256 _value, bytes _data)',
+])
+const TOKEN_ABI = ['event Transfer(address indexed from, address indexed to, uint256 value)']
+
+/**
+ * Decode pool transaction sent from L1 with `L1Unwrapper.wrapAndRelayTokens` or `relayTokensAndCall`
+ *
+ * @returns {Promise<Object|null>} deposit details or null if the transaction is not mined yet
+ */
+async function getBridgedDeposit(l1Provider, l1TxHash) {
+  const receipt = await l1Provider.getTransactionReceipt(l1TxHash)
+  if (!receipt) {
+    return null
+  }
+  if (receipt.status !== 1) {
+    throw new Error(`L1 transaction ${l1TxHash} has failed`)
+  }
+  const tx = await l1Provider.getTransaction(l1TxHash)
+  let call
+  try {
+    call = bridgeInterface.parseTransaction(tx)
+  } catch (e) {
+    throw new Error(`L1 transaction ${l1TxHash} is not a bridge deposit`)
+  }
+  const [args, extData] = abi.decode([PROOF_TUPLE, EXT_DATA_TUPLE], call.args._data)
+  return {
+    txHash: l1TxHash,
+    blockNumber: receipt.blockNumber,
+    chainId: (await l1Provider.getNetwork()).chainId,
+    sender: tx.from,
+    receiver: call.args._receiver,
+    value: call.name === 'wrapAndRelayTokens' ? tx.value : call.args._value,
+    data: call.args._data,
+    args,
+    extData,
+  }
+}
+
+/**
+ * Follow a deposit from L1 to its result on L2. The pool calls `onTransact` inside `onTokenBridged` and sends
+ * the bridged tokens to the multisig if it reverts, so a deposit ends up either with its output commitments in
+ * the pool (`completed`) or with a transfer to the multisig (`failed`). Until then the deposit is `pending`,
+ * `staleRoot` tells that the proof root has left the pool root history and the deposit is going to fail
+ *
+ * @param {Provider} l1Provider L1 provider
+ * @param {string} l1TxHash hash of the L1 deposit transaction
+ * @param {Contract} tornadoPool L2 pool instance
+ * @param {number} fromBlock L2 block to search events from, e.g. the block at the time of deposit
+ * @param {number} chunkSize maximum block range of a single events query
+ * @returns {Promise<{status: string, l1: Object|null, l2: Object|null, commitments: string[], staleRoot: boolean,
+ * claim: Object|null}>} `claim` is set for failed deposits, see {@link createDepositClaim}
+ */
+async function trackBridgedDeposit({ l1Provider, l1TxHash, tornadoPool, fromBlock = 0, chunkSize = 10000 }) {
+  const deposit = await getBridgedDeposit(l1Provider, l1TxHash)
+  if (!deposit) {
+    return { status: 'pending', l1: null, l2: null, commitments: [], staleRoot: false, claim: null }
+  }
+  if (deposit.receiver.toLowerCase() !== tornadoPool.address.toLowerCase()) {
+    throw new Error(`Deposit ${l1TxHash} is sent to ${deposit.receiver}, not to the pool`)
+  }
+  const l1 = {
+    chainId: deposit.chainId,
+    txHash: deposit.txHash,
+    blockNumber: deposit.blockNumber,
+    sender: deposit.sender,
+    value: deposit.value.toString(),
+  }
+  const commitments = deposit.args.outputCommitments.map((x) => toFixedHex(x))
+  const result = { status: 'pending', l1, l2: null, commitments, staleRoot: false, claim: null }
+
+  const toBlock = await tornadoPool.provider.getBlockNumber()
+  const commitmentEvents = await queryEvents({
+    contract: tornadoPool,
+    filter: tornadoPool.filters.NewCommitment(),
+    fromBlock,
+    toBlock,
+    chunkSize,
+  })
+  const created = commitmentEvents.filter((e) => commitments.includes(toFixedHex(e.args.commitment)))
+  if (created.length === commitments.length) {
+    const { transactionHash, blockNumber } = created[0]
+    return { ...result, status: 'completed', l2: { txHash: transactionHash, blockNumber } }
+  }
+
+  const fallback = await findFallbackTransfer({
+    tornadoPool,
+    data: deposit.data,
+    fromBlock,
+    toBlock,
+    chunkSize,
+  })
+  if (fallback) {
+    const l2 = {
+      txHash: fallback.transactionHash,
+      blockNumber: fallback.blockNumber,
+      amount: fallback.args.value.toString(),
+    }
+    return {
+      ...result,
+      status: 'failed',
+      l2,
+      claim: await createDepositClaim({ tornadoPool, deposit, l1, l2, commitments }),
+    }
+  }
+  return { ...result, staleRoot: !(await tornadoPool.isKnownRoot(toFixedHex(deposit.args.root))) }
+}
+
+/** Find transfer to the multisig made by `onTokenBridged` call that carries `data` */
+async function findFallbackTransfer({ tornadoPool, data, fromBlock, toBlock, chunkSize }) {
+  const token = new ethers.Contract(await tornadoPool.token(), TOKEN_ABI, tornadoPool.provider)
+  const events = await queryEvents({
+    contract: token,
+    filter: token.filters.Transfer(tornadoPool.address, await tornadoPool.multisig()),
+    fromBlock,
+    toBlock,
+    chunkSize,
+  })
+  const needle = data.slice(2).toLowerCase()
+  for (const event of events) {
+    // the bridge message is somewhere inside the calldata of the executing transaction
+    const tx = await tornadoPool.provider.getTransaction(event.transactionHash)
+    const haystack = tx.data.slice(2).toLowerCase()
+    for (let i = haystack.indexOf(needle); i >= 0; i = haystack.indexOf(needle, i + 1)) {
+      if (i % 2 === 0) {
+        return event
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Build a refund claim for a deposit that ended up at the multisig. The refund should go back to the L1
+ * sender, `possibleReasons` are pool checks that fail for the deposit now, they hint why it has failed
+ */
+async function createDepositClaim({ tornadoPool, deposit, l1, l2, commitments }) {
+  const errors = await simulateTransaction({ tornadoPool, args: deposit.args, extData: deposit.extData })
+  return {
+    version: CLAIM_VERSION,
+    type: 'bridged_deposit_refund',
+    pool: tornadoPool.address,
+    chainId: (await tornadoPool.provider.getNetwork()).chainId,
+    multisig: await tornadoPool.multisig(),
+    refundTo: l1.sender,
+    amount: l2.amount,
+    l1,
+    l2,
+    root: toFixedHex(deposit.args.root),
+    extDataHash: toFixedHex(deposit.args.extDataHash),
+    commitments,
+    possibleReasons: errors.map((e) => e.message),
+  }
+}
+
+/**
+ * Check a claim produced by {@link trackBridgedDeposit} against L1 and L2 state
+ *
+ * @returns {Promise<string[]>} human readable verification errors, empty for a valid claim
+ */
+async function verifyDepositClaim({ l1Provider, tornadoPool, claim }) {
+  if (claim.version !== CLAIM_VERSION) {
+    return [`Unsupported claim version ${claim.version}`]
+  }
+  if (claim.pool.toLowerCase() !== tornadoPool.address.toLowerCase()) {
+    return [`Claim is for another pool ${claim.pool}`]
+  }
+  const result = await trackBridgedDeposit({
+    l1Provider,
+    l1TxHash: claim.l1.txHash,
+    tornadoPool,
+    fromBlock: claim.l2.blockNumber,
+  })
+  if (result.status !== 'failed') {
+    return [`Deposit ${claim.l1.txHash} is ${result.status}, not failed`]
+  }
+  const errors = []
+  if (result.l2.txHash !== claim.l2.txHash) {
+    errors.push(`Fallback transfer was made in ${result.l2.txHash}, not in ${claim.l2.txHash}`)
+  }
+  if (!BigNumber.from(result.l2.amount).eq(claim.amount)) {
+    errors.push(`Multisig has received ${result.l2.amount}, not ${claim.amount}`)
+  }
+  if (result.l1.sender.toLowerCase() !== claim.refundTo.toLowerCase()) {
+    errors.push(`Deposit was sent by ${result.l1.sender}, not by ${claim.refundTo}`)
+  }
+  return errors
+}
+
+module.exports = { trackBridgedDeposit, verifyDepositClaim }
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+require('dotenv').config()
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { ethers } = require('ethers')
+const { utils } = ethers
+const config = require('../config')
+const { Keypair } = require('./keypair')
+const Utxo = require('./utxo')
+const { transaction, send } = require('./index')
+const { scanWallet } = require('./wallet')
+const { buildHistory, historyToJSON, historyToCSV } = require('./history')
+const TreeStore = require('./treeStore')
+const Keystore = require('./keystore')
+const KeyRegistry = require('./registry')
+const RelayerClient = require('./relayerClient')
+const { transactWithPermit } = require('./permit')
+const { signRegistration } = require('./registration')
+const { TORNADO_POOL_ABI, L1_UNWRAPPER_ABI } = require('./abi')
+
+const USAGE = `Usage: nova <command> [options]
+
+Commands:
+  keygen [--derive] [--account <n>]  create a shielded key, --derive derives it from the Ethereum account
+  import <private key>               import an existing shielded private key
+  address                            print shielded address of the key
+  register                           publish shielded address of the Ethereum account, with --relayer the
+                                     relayer submits the signed registration and pays for gas
+  deposit <amount> [--permit]        deposit pool tokens from the Ethereum account, --permit signs a permit
+                                     instead of sending approve
+  transfer <to> <amount> [--memo <text>]
+                                     send to a shielded address or a registered Ethereum address, --memo
+                                     attaches an encrypted memo up to 64 bytes
+  withdraw <recipient> <amount>      withdraw to L2, with --l1 withdraw to L1 paying --l1-fee out of the amount
+                                     (amount or auto, auto requires --l1-rpc)
+  balance                            print shielded balance and notes
+  history [--format json|csv]        print transaction history
+
+Options:
+  --rpc <url>          L2 RPC url, ETH_RPC env by default
+  --l1-rpc <url>       L1 RPC url, enables L1Unwrapper registrations lookup and L1 fee estimation
+  --pool <address>     pool address, NOVA_POOL env by default
+  --from-block <n>     pool deployment block, NOVA_FROM_BLOCK env or 0 by default
+  --l1-from-block <n>  L1Unwrapper deployment block, NOVA_L1_FROM_BLOCK env or 0 by default
+  --data-dir <path>    directory with the key and the merkle tree cache, ~/.nova by default
+  --keyfile <path>     shielded key file, <data-dir>/key.json by default
+  --relayer <url>      send registrations, transfers and withdrawals through a relayer
+  --max-fee <amount>   the highest acceptable relayer fee
+  --force              overwrite existing key file
+
+Ethereum account is taken from PRIVATE_KEY env. If NOVA_PASSWORD env is set, new keys are saved encrypted
+and encrypted key files are unlocked with it. Amounts are in ether units. Results are printed to stdout
+as JSON, errors are printed to stderr as {"error": "..."} with exit code 1.`
+
+const BOOLEAN_OPTIONS = ['derive', 'l1', 'permit', 'force', 'help']
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+/**
+ * Split command line arguments into command, positional arguments and options. Option names are converted
+ * to camel case, e.g. `--from-block 1` gives `{fromBlock: '1'}`
+ *
+ * @param {string[]} argv arguments without node and script paths
+ * @returns {{command: string, args: string[], options: Object}}
+ */
+function parseArgs(argv) {
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i])
+      continue
+    }
+    const separator = argv[i].indexOf('=')
+    const name = separator > 0 ? argv[i].slice(2, separator) : argv[i].slice(2)
+    const key = name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase())
+    if (BOOLEAN_OPTIONS.includes(name)) {
+      options[key] = true
+    } else if (separator > 0) {
+      options[key] = argv[i].slice(separator + 1)
+    } else if (i + 1 < argv.length) {
+      options[key] = argv[++i]
+    } else {
+      throw new Error(`Option --${name} requires a value`)
+    }
+  }
+  return { command: positional[0], args: positional.slice(1), options }
+}
+
+/**
+ * Connect to the network with settings from options and environment. The L1Unwrapper address is taken from
+ * config.js
+ *
+ * @param {Object} options parsed command line options
+ * @param {Object} env environment variables
+ */
+function createContext(options, env = process.env) {
+  const dataDir = options.dataDir || path.join(os.homedir(), '.nova')
+  const settings = {
+    rpc: options.rpc || env.ETH_RPC,
+    l1Rpc: options.l1Rpc,
+    pool: options.pool || env.NOVA_POOL,
+    fromBlock: Number(options.fromBlock || env.NOVA_FROM_BLOCK || 0),
+    l1FromBlock: Number(options.l1FromBlock || env.NOVA_L1_FROM_BLOCK || 0),
+    dataDir,
+    keyfile: options.keyfile || path.join(dataDir, 'key.json'),
+    password: env.NOVA_PASSWORD,
+  }
+  const context = { settings, options }
+  if (settings.rpc) {
+    context.provider = new ethers.providers.JsonRpcProvider(settings.rpc)
+    context.signer = env.PRIVATE_KEY ? new ethers.Wallet(env.PRIVATE_KEY, context.provider) : null
+  }
+  if (settings.pool && context.provider) {
+    context.tornadoPool = new ethers.Contract(
+      settings.pool,
+      TORNADO_POOL_ABI,
+      context.signer || context.provider,
+    )
+  }
+  if (settings.l1Rpc) {
+    context.l1Provider = new ethers.providers.JsonRpcProvider(settings.l1Rpc)
+    context.l1Unwrapper = new ethers.Contract(config.l1Unwrapper, L1_UNWRAPPER_ABI, context.l1Provider)
+  }
+  return context
+}
+
+function requirePool(ctx) {
+  if (!ctx.tornadoPool) {
+    throw new Error('Pool is not configured, use --rpc and --pool options')
+  }
+  return ctx.tornadoPool
+}
+
+function requireSigner(ctx) {
+  if (!ctx.signer) {
+    throw new Error('Ethereum account is not configured, set PRIVATE_KEY env')
+  }
+  return ctx.signer
+}
+
+async function loadKeypair(ctx) {
+  const { keyfile, password } = ctx.settings
+  if (!fs.existsSync(keyfile)) {
+    throw new Error(`Key file ${keyfile} does not exist, run nova keygen or nova import`)
+  }
+  const data = JSON.parse(fs.readFileSync(keyfile).toString())
+  if (!data.version) {
+    return new Keypair(data.privkey, data.viewKey)
+  }
+  if (!password) {
+    throw new Error('Key file is encrypted, set NOVA_PASSWORD env')
+  }
+  const keystore = Keystore.fromJSON(data)
+  await keystore.unlock(password)
+  return keystore.getKeypair(keystore.keys[0].id)
+}
+
+/** The key is saved into a keystore if NOVA_PASSWORD is set and as plain JSON otherwise */
+async function saveKeypair(ctx, keypair) {
+  const { keyfile, password, fromBlock } = ctx.settings
+  if (fs.existsSync(keyfile) && !ctx.options.force) {
+    throw new Error(`Key file ${keyfile} already exists, use --force to overwrite it`)
+  }
+  let data = { privkey: keypair.privkey, viewKey: keypair.viewKey }
+  if (password) {
+    const keystore = await Keystore.create(password)
+    keystore.addKey(keypair, { createdBlock: fromBlock })
+    keystore.lock()
+    data = keystore.toJSON()
+  }
+  fs.mkdirSync(path.dirname(keyfile), { recursive: true })
+  fs.writeFileSync(keyfile, JSON.stringify(data), { mode: 0o600 })
+  return { address: keypair.address(), keyfile, encrypted: !!password }
+}
+
+function getTreeStore(ctx) {
+  const tornadoPool = requirePool(ctx)
+  fs.mkdirSync(ctx.settings.dataDir, { recursive: true })
+  return new TreeStore({
+    tornadoPool,
+    path: path.join(ctx.settings.dataDir, `tree-${tornadoPool.address.toLowerCase()}.json`),
+    fromBlock: ctx.settings.fromBlock,
+  })
+}
+
+function getRelayParams(ctx) {
+  if (!ctx.options.relayer) {
+    requireSigner(ctx)
+    return {}
+  }
+  return {
+    relayerClient: new RelayerClient({ url: ctx.options.relayer }),
+    maxFee: ctx.options.maxFee ? utils.parseEther(ctx.options.maxFee) : undefined,
+  }
+}
+
+async function getWallet(ctx) {
+  return await scanWallet({
+    tornadoPool: requirePool(ctx),
+    keypair: await loadKeypair(ctx),
+    fromBlock: ctx.settings.fromBlock,
+  })
+}
+
+function parseAmount(amount) {
+  if (!amount) {
+    throw new Error('Amount is required')
+  }
+  return utils.parseEther(amount)
+}
+
+const commands = {
+  async keygen(ctx) {
+    const keypair = ctx.options.derive
+      ? await Keypair.fromSigner(requireSigner(ctx), Number(ctx.options.account || 0))
+      : Keypair.withViewKey()
+    return await saveKeypair(ctx, keypair)
+  },
+
+  async import(ctx, [privkey]) {
+    if (!privkey || !utils.isHexString(privkey, 32)) {
+      throw new Error('Private key should be a 32 bytes hex string')
+    }
+    return await saveKeypair(ctx, new Keypair(privkey))
+  },
+
+  async address(ctx) {
+    const keypair = await loadKeypair(ctx)
+    const result = { address: keypair.address() }
+    if (ctx.provider) {
+      result.checksummedAddress = keypair.toAddress((await ctx.provider.getNetwork()).chainId)
+    }
+    return result
+  },
+
+  async register(ctx) {
+    const signer = requireSigner(ctx)
+    const keypair = await loadKeypair(ctx)
+    if (ctx.options.relayer) {
+      // the relayer pays for gas, so the account doesn't need to be funded
+      const relayerClient = new RelayerClient({ url: ctx.options.relayer })
+      const registration = await signRegistration({ signer, tornadoPool: requirePool(ctx), keypair })
+      const job = await relayerClient.waitForJob(await relayerClient.submitRegistration(registration))
+      return { txHash: job.txHash, address: keypair.address() }
+    }
+    const tx = await requirePool(ctx)
+      .connect(signer)
+      .register({ owner: await signer.getAddress(), publicKey: keypair.address() })
+    const receipt = await tx.wait()
+    return { txHash: receipt.transactionHash, address: keypair.address() }
+  },
+
+  async deposit(ctx, [amount]) {
+    const tornadoPool = requirePool(ctx)
+    const signer = requireSigner(ctx)
+    amount = parseAmount(amount)
+    const params = {
+      tornadoPool: tornadoPool.connect(signer),
+      outputs: [new Utxo({ amount, keypair: await loadKeypair(ctx) })],
+      treeStore: getTreeStore(ctx),
+    }
+    let receipt
+    if (ctx.options.permit) {
+      receipt = await transactWithPermit(params)
+    } else {
+      const token = new ethers.Contract(await tornadoPool.token(), ERC20_ABI, signer)
+      if ((await token.allowance(await signer.getAddress(), tornadoPool.address)).lt(amount)) {
+        await (await token.approve(tornadoPool.address, amount)).wait()
+      }
+      receipt = await transaction(params)
+    }
+    return { txHash: receipt.transactionHash, amount: utils.formatEther(amount) }
+  },
+
+  async transfer(ctx, [to, amount]) {
+    if (!to) {
+      throw new Error('Recipient is required')
+    }
+    const tornadoPool = requirePool(ctx)
+    const registry = new KeyRegistry({
+      tornadoPool,
+      l1Unwrapper: ctx.l1Unwrapper,
+      fromBlock: ctx.settings.fromBlock,
+      l1FromBlock: ctx.settings.l1FromBlock,
+    })
+    const receipt = await send({
+      tornadoPool,
+      wallet: await getWallet(ctx),
+      amount: parseAmount(amount),
+      to,
+      memo: ctx.options.memo,
+      registry,
+      treeStore: getTreeStore(ctx),
+      ...getRelayParams(ctx),
+    })
+    return { txHash: receipt.transactionHash, to, amount }
+  },
+
+  async withdraw(ctx, [recipient, amount]) {
+    if (!recipient || !utils.isAddress(recipient)) {
+      throw new Error('Recipient should be an Ethereum address')
+    }
+    const tornadoPool = requirePool(ctx)
+    const l1Fee = ctx.options.l1Fee === 'auto' ? 'auto' : utils.parseEther(ctx.options.l1Fee || '0')
+    if (ctx.options.l1 && l1Fee === 'auto' && !ctx.l1Provider) {
+      throw new Error('L1 fee estimation requires --l1-rpc option')
+    }
+    const receipt = await send({
+      tornadoPool,
+      wallet: await getWallet(ctx),
+      amount: parseAmount(amount),
+      recipient,
+      isL1Withdrawal: !!ctx.options.l1,
+      l1Fee: ctx.options.l1 ? l1Fee : 0,
+      l1Provider: ctx.l1Provider,
+      treeStore: getTreeStore(ctx),
+      ...getRelayParams(ctx),
+    })
+    // the estimated fee is known only from the sent transaction
+    const tx = await tornadoPool.provider.getTransaction(receipt.transactionHash)
+    const [, extData] = tornadoPool.interface.parseTransaction(tx).args
+    return { txHash: receipt.transactionHash, recipient, amount, l1Fee: utils.formatEther(extData.l1Fee) }
+  },
+
+  async balance(ctx) {
+    const wallet = await getWallet(ctx)
+    return {
+      balance: utils.formatEther(wallet.balance),
+      notes: wallet.utxos.map((x) => ({
+        index: x.index,
+        amount: utils.formatEther(x.amount),
+        memo: x.memo && x.memo.length > 0 ? x.memo.toString('utf8') : undefined,
+      })),
+    }
+  },
+
+  async history(ctx) {
+    const entries = await buildHistory({
+      tornadoPool: requirePool(ctx),
+      keypair: await loadKeypair(ctx),
+      fromBlock: ctx.settings.fromBlock,
+    })
+    return ctx.options.format === 'csv' ? historyToCSV(entries) : JSON.parse(historyToJSON(entries))
+  },
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { command, args, options } = parseArgs(argv)
+  if (!command || options.help) {
+    console.log(USAGE)
+    return
+  }
+  if (!commands[command]) {
+    throw new Error(`Unknown command ${command}, see nova --help`)
+  }
+  const result = await commands[command](createContext(options), args)
+  console.log(typeof result === 'string' ? result : JSON.stringify(result, null, 2))
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((e) => {
+      console.error(JSON.stringify({ error: e.message }))
+      process.exit(1)
+    })
+}
+
+module.exports = { parseArgs, createContext, commands, main }
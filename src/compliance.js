@@ -0,0 +1,141 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex, poseidonHash, queryEvents } = require('./utils')
+
+const REPORT_VERSION = 1
+
+/**
+ * Build source of funds report for a UTXO: preimages of its commitment and nullifier together with the
+ * transactions that created and spent it
+ *
+ * commitment = hash(amount, pubkey, blinding)
+ * nullifier = hash(commitment, merklePath, signature), where signature = hash(privkey, commitment, merklePath)
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param {Utxo} utxo UTXO with a spending keypair
+ * @param {number} fromBlock block to search events from, e.g. pool deployment block
+ * @param {number} chunkSize maximum block range of a single events query
+ * @returns {Promise<Object>} JSON serializable report
+ */
+async function generateComplianceReport({ tornadoPool, utxo, fromBlock = 0, chunkSize = 10000 }) {
+  const commitment = toFixedHex(utxo.getCommitment())
+  const toBlock = await tornadoPool.provider.getBlockNumber()
+  const commitmentEvents = await queryEvents({
+    contract: tornadoPool,
+    filter: tornadoPool.filters.NewCommitment(),
+    fromBlock,
+    toBlock,
+    chunkSize,
+  })
+  const depositEvent = commitmentEvents.find((e) => toFixedHex(e.args.commitment) === commitment)
+  if (!depositEvent) {
+    throw new Error(`Commitment ${commitment} was not found`)
+  }
+  const index = depositEvent.args.index.toNumber()
+  const signature = utxo.keypair.sign(commitment, index)
+  const nullifier = toFixedHex(poseidonHash([commitment, index, signature]))
+
+  const nullifierEvents = await queryEvents({
+    contract: tornadoPool,
+    filter: tornadoPool.filters.NewNullifier(),
+    fromBlock: depositEvent.blockNumber,
+    toBlock,
+    chunkSize,
+  })
+  const spendEvent = nullifierEvents.find((e) => toFixedHex(e.args.nullifier) === nullifier)
+
+  return {
+    version: REPORT_VERSION,
+    pool: tornadoPool.address,
+    chainId: (await tornadoPool.provider.getNetwork()).chainId,
+    commitment: {
+      amount: utxo.amount.toString(),
+      pubkey: toFixedHex(utxo.keypair.pubkey),
+      blinding: toFixedHex(utxo.blinding),
+      hash: commitment,
+    },
+    nullifier: {
+      commitment,
+      merklePath: index,
+      signature: toFixedHex(signature),
+      hash: nullifier,
+    },
+    deposit: { txHash: depositEvent.transactionHash, blockNumber: depositEvent.blockNumber },
+    spend: spendEvent ? { txHash: spendEvent.transactionHash, blockNumber: spendEvent.blockNumber } : null,
+  }
+}
+
+/**
+ * Verify a report produced by {@link generateComplianceReport}: recompute the hashes and check that the
+ * referenced transactions have emitted them
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param report compliance report
+ * @param {number} chunkSize maximum block range of a single events query
+ * @returns {Promise<string[]>} human readable verification errors, empty for a valid report
+ */
+async function verifyComplianceReport({ tornadoPool, report, chunkSize = 10000 }) {
+  const errors = []
+  if (report.version !== REPORT_VERSION) {
+    return [`Unsupported report version ${report.version}`]
+  }
+  if (report.pool.toLowerCase() !== tornadoPool.address.toLowerCase()) {
+    return [`Report is for another pool ${report.pool}`]
+  }
+
+  const { amount, pubkey, blinding } = report.commitment
+  const commitment = toFixedHex(poseidonHash([amount, pubkey, blinding]))
+  if (commitment !== toFixedHex(report.commitment.hash)) {
+    errors.push('Commitment does not match its preimage')
+  }
+  const depositLog = await findLog(tornadoPool, report.deposit.txHash, 'NewCommitment', (args) =>
+    BigNumber.from(args.commitment).eq(commitment),
+  )
+  if (!depositLog) {
+    errors.push(`Deposit transaction ${report.deposit.txHash} did not create the commitment`)
+  }
+
+  const { merklePath, signature } = report.nullifier
+  const nullifier = toFixedHex(poseidonHash([commitment, merklePath, signature]))
+  if (nullifier !== toFixedHex(report.nullifier.hash)) {
+    errors.push('Nullifier does not match its preimage')
+  }
+  if (depositLog && !depositLog.args.index.eq(merklePath)) {
+    errors.push('Nullifier merkle path does not match commitment index')
+  }
+  // the signature can't be checked without the private key, a wrong one gives a nullifier unknown to the pool
+  if (report.spend) {
+    const spendLog = await findLog(tornadoPool, report.spend.txHash, 'NewNullifier', (args) =>
+      BigNumber.from(args.nullifier).eq(nullifier),
+    )
+    if (!spendLog) {
+      errors.push(`Spend transaction ${report.spend.txHash} did not spend the nullifier`)
+    }
+  } else if (depositLog) {
+    // the nullifier can't be spent before the commitment is created
+    const nullifierEvents = await queryEvents({
+      contract: tornadoPool,
+      filter: tornadoPool.filters.NewNullifier(),
+      fromBlock: depositLog.blockNumber,
+      chunkSize,
+    })
+    if (nullifierEvents.some((e) => toFixedHex(e.args.nullifier) === nullifier)) {
+      errors.push('Report says the UTXO is unspent, but the nullifier is spent')
+    }
+  }
+  return errors
+}
+
+async function findLog(tornadoPool, txHash, eventName, match) {
+  const receipt = await tornadoPool.provider.getTransactionReceipt(txHash)
+  if (!receipt || receipt.status !== 1) {
+    return null
+  }
+  const log = receipt.logs
+    .filter((log) => log.address.toLowerCase() === tornadoPool.address.toLowerCase())
+    .map((log) => tornadoPool.interface.parseLog(log))
+    .find((log) => log.name === eventName && match(log.args))
+  return log ? { args: log.args, blockNumber: receipt.blockNumber } : null
+}
+
+module.exports = { generateComplianceReport, verifyComplianceReport }
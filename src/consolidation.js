@@ -0,0 +1,82 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex } = require('./utils')
+const Utxo = require('./utxo')
+const { transaction, buildMerkleTree, buildSend } = require('./index')
+const { selectInputs, sumAmounts, MAX_INPUTS } = require('./wallet')
+
+/**
+ * Plan a payment from a wallet whose notes do not fit into a single transaction. The plan consists of
+ * 16 inputs merge transactions that join the smallest notes into a single note of the same keypair, followed
+ * by the final spend
+ *
+ * @param {{keypair: Keypair, utxos: Utxo[]}} wallet sender wallet, e.g. result of `scanWallet`
+ * @param {BigNumber | number | string} amount amount to send
+ * @param {Keypair | string} to shielded recipient, omit for withdrawals
+ * @param {BigNumber | number | string} fee relayer fee of the final spend
+ * @param {BigNumber | number | string} l1Fee L1 fee of the final spend, only for withdrawals, it is paid from `amount`
+ * @param params the rest of `transaction` params for the final spend, e.g. `recipient` or `isL1Withdrawal`
+ * @returns {{steps: Array<{type: string, inputs: Utxo[], outputs: Utxo[], params: Object, done: boolean}>}}
+ */
+function planConsolidation({ wallet, amount, to, fee = 0, l1Fee = 0, ...params }) {
+  amount = BigNumber.from(amount)
+  const spendAmount = amount.add(fee)
+
+  let notes = selectInputs(wallet.utxos, spendAmount, Infinity)
+  const steps = []
+  while (notes.length > MAX_INPUTS) {
+    // selected notes are sorted by amount, so the smallest ones are at the end
+    const inputs = notes.slice(-MAX_INPUTS)
+    const merged = new Utxo({ amount: sumAmounts(inputs), keypair: wallet.keypair })
+    steps.push({ type: 'merge', inputs, outputs: [merged], params: {}, done: false })
+    notes = [merged, ...notes.slice(0, -MAX_INPUTS)]
+  }
+
+  const { inputs, outputs } = buildSend({ wallet: { ...wallet, utxos: notes }, amount, to, fee })
+  steps.push({ type: 'spend', inputs, outputs, params: { fee, l1Fee, ...params }, done: false })
+  return { steps }
+}
+
+/**
+ * Execute a consolidation plan step by step. Executed steps are marked as done, so the same plan can be
+ * passed again to resume after a failed step
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param plan result of `planConsolidation`
+ * @param {TreeStore} treeStore optional incrementally synced tree
+ * @param {function({step: number, total: number, type: string, receipt: Object})} onProgress called after each step
+ * @returns plan with all steps done
+ */
+async function executeConsolidation({ tornadoPool, plan, treeStore, onProgress = () => {} }) {
+  const total = plan.steps.length
+  for (const [i, step] of plan.steps.entries()) {
+    if (step.done) {
+      continue
+    }
+    // step transaction could be mined even if the previous run failed while waiting for it
+    const tree = await buildMerkleTree({ tornadoPool, treeStore })
+    if (step.outputs.some((x) => tree.indexOf(toFixedHex(x.getCommitment())) >= 0)) {
+      step.done = true
+      continue
+    }
+
+    try {
+      step.receipt = await transaction({
+        tornadoPool,
+        inputs: step.inputs,
+        outputs: step.outputs,
+        treeStore,
+        ...step.params,
+      })
+    } catch (e) {
+      e.message = `Consolidation step ${i + 1}/${total} (${step.type}) failed: ${e.message}`
+      e.step = i
+      throw e
+    }
+    step.done = true
+    onProgress({ step: i + 1, total, type: step.type, receipt: step.receipt })
+  }
+  return plan
+}
+
+module.exports = { planConsolidation, executeConsolidation }
@@ -0,0 +1,78 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { FIELD_SIZE, toFixedHex, poseidonHash, poseidonHash2 } = require('./utils')
+
+const MAX_AMOUNT = BigNumber.from(2).pow(248)
+
+/** Merkle root computed the same way as `MerkleProof` template of the circuit */
+function computeRoot(leaf, pathIndices, pathElements) {
+  const indices = BigNumber.from(pathIndices).toNumber()
+  let node = leaf
+  for (let i = 0; i < pathElements.length; i++) {
+    node = (indices >> i) & 1 ? poseidonHash2(pathElements[i], node) : poseidonHash2(node, pathElements[i])
+  }
+  return node
+}
+
+/**
+ * Check transaction circuit input against the constraints of `transaction.circom`
+ *
+ * @param input circuit input as passed to the prover
+ * @returns {string[]} human readable descriptions of violated constraints
+ */
+function diagnoseInput(input) {
+  const errors = []
+  const eq = (a, b) => BigNumber.from(a).mod(FIELD_SIZE).eq(BigNumber.from(b).mod(FIELD_SIZE))
+
+  let sumIns = BigNumber.from(0)
+  input.inAmount.forEach((amount, i) => {
+    const pubkey = poseidonHash([input.inPrivateKey[i]])
+    const commitment = poseidonHash([amount, pubkey, input.inBlinding[i]])
+    const signature = poseidonHash([input.inPrivateKey[i], commitment, input.inPathIndices[i]])
+    const nullifier = poseidonHash([commitment, input.inPathIndices[i], signature])
+    if (!eq(nullifier, input.inputNullifier[i])) {
+      errors.push(`Nullifier mismatch for input ${i}: wrong private key, blinding, amount or tree index`)
+    }
+    // merkle proof is checked only for non-zero inputs
+    if (!BigNumber.from(amount).isZero()) {
+      const root = computeRoot(commitment, input.inPathIndices[i], input.inPathElements[i])
+      if (!eq(root, input.root)) {
+        errors.push(
+          `Merkle root mismatch for input ${i}: path does not lead to root ${toFixedHex(input.root)}`,
+        )
+      }
+    }
+    sumIns = sumIns.add(amount)
+  })
+
+  let sumOuts = BigNumber.from(0)
+  input.outAmount.forEach((amount, i) => {
+    const commitment = poseidonHash([amount, input.outPubkey[i], input.outBlinding[i]])
+    if (!eq(commitment, input.outputCommitment[i])) {
+      errors.push(`Output commitment mismatch for output ${i}`)
+    }
+    if (BigNumber.from(amount).lt(0) || BigNumber.from(amount).gte(MAX_AMOUNT)) {
+      errors.push(`Output amount ${i} does not fit into 248 bits`)
+    }
+    sumOuts = sumOuts.add(amount)
+  })
+
+  for (let i = 0; i < input.inputNullifier.length - 1; i++) {
+    for (let j = i + 1; j < input.inputNullifier.length; j++) {
+      if (eq(input.inputNullifier[i], input.inputNullifier[j])) {
+        errors.push(`Duplicate nullifiers for inputs ${i} and ${j}`)
+      }
+    }
+  }
+
+  if (!eq(sumIns.add(input.publicAmount), sumOuts)) {
+    errors.push(
+      `Amount invariant violated: inputs ${sumIns.toString()} + public amount ${
+        input.publicAmount
+      } != outputs ${sumOuts.toString()}`,
+    )
+  }
+  return errors
+}
+
+module.exports = { diagnoseInput }
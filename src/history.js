@@ -0,0 +1,222 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex, getExtDataHash, queryEvents, PROOF_TUPLE, EXT_DATA_TUPLE } = require('./utils')
+const Utxo = require('./utxo')
+const { sumAmounts } = require('./wallet')
+
+const abi = new ethers.utils.AbiCoder()
+// calls that carry `abi.encode(args, extData)` of bridged deposits: the pool callback and the omnibridge calls
+// that the AMB message executes on L2
+const bridgeInterface = new ethers.utils.Interface([
+  'function onTokenBridged(address token, uint256 value, bytes data)',
+  'function handleBridgedTokensAndCall(address token, address recipient, uint256 value, bytes data)',
+  'function handleNativeTokensAndCall(address token, address recipient, uint256 value, bytes data)',
+])
+
+const CSV_COLUMNS = ['timestamp', 'date', 'blockNumber', 'type', 'amount', 'l1Fee', 'counterparty', 'txHash']
+
+/**
+ * Build ledger of a keypair from pool events and transaction calldata. Every pool transaction gives one or
+ * more entries of types:
+ * - `deposit` funds added to the pool
+ * - `transfer_received` shielded transfer from another keypair
+ * - `transfer_sent` shielded transfer to another keypair
+ * - `withdrawal` withdrawal to L2 `counterparty`
+ * - `l1_withdrawal` withdrawal to L1 `counterparty`, the recipient gets `amount - l1Fee`
+ * - `relayer_fee` fee paid to `counterparty` relayer
+ * - `unknown` pool call that could not be decoded, `amount` is the balance change
+ *
+ * View-only keypairs can't detect their spends, so their history contains only received funds
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param {Keypair} keypair
+ * @param {number} fromBlock block to start from, e.g. pool deployment block
+ * @param {number} chunkSize maximum block range of a single events query
+ * @returns {Promise<Array<{type: string, amount: BigNumber, l1Fee: BigNumber|null, counterparty: string|null,
+ * txHash: string, blockNumber: number, timestamp: number}>>}
+ */
+async function buildHistory({ tornadoPool, keypair, fromBlock = 0, chunkSize = 10000 }) {
+  const toBlock = await tornadoPool.provider.getBlockNumber()
+  const query = (filter) => queryEvents({ contract: tornadoPool, filter, fromBlock, toBlock, chunkSize })
+  const commitmentEvents = await query(tornadoPool.filters.NewCommitment())
+  const nullifierEvents = await query(tornadoPool.filters.NewNullifier())
+
+  const transactions = new Map()
+  const getTransaction = (event) => {
+    if (!transactions.has(event.transactionHash)) {
+      transactions.set(event.transactionHash, { event, inputs: [], outputs: [] })
+    }
+    return transactions.get(event.transactionHash)
+  }
+
+  const nullifiers = new Map()
+  for (const event of commitmentEvents) {
+    let utxo
+    try {
+      utxo = Utxo.decrypt(keypair, event.args.encryptedOutput, event.args.index.toNumber())
+    } catch (e) {
+      continue
+    }
+    if (utxo.amount.isZero() || !utxo.getCommitment().eq(event.args.commitment)) {
+      continue
+    }
+    getTransaction(event).outputs.push(utxo)
+    if (keypair.privkey) {
+      nullifiers.set(toFixedHex(utxo.getNullifier()), utxo)
+    }
+  }
+  for (const event of nullifierEvents) {
+    const utxo = nullifiers.get(toFixedHex(event.args.nullifier))
+    if (utxo) {
+      getTransaction(event).inputs.push(utxo)
+    }
+  }
+
+  const timestamps = new Map()
+  const entries = []
+  const ordered = [...transactions.values()].sort(
+    (a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex,
+  )
+  for (const { event, inputs, outputs } of ordered) {
+    if (!timestamps.has(event.blockNumber)) {
+      timestamps.set(event.blockNumber, (await event.getBlock()).timestamp)
+    }
+    const tx = await tornadoPool.provider.getTransaction(event.transactionHash)
+    // a nullifier or a commitment of this transaction
+    const needle = toFixedHex(inputs.length > 0 ? inputs[0].getNullifier() : outputs[0].getCommitment())
+    const extData = findExtData(tornadoPool, tx, needle)
+    const base = {
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      timestamp: timestamps.get(event.blockNumber),
+      l1Fee: null,
+      counterparty: null,
+    }
+    for (const entry of classifyTransaction({ inputs, outputs, extData })) {
+      entries.push({ ...base, ...entry })
+    }
+  }
+  return entries
+}
+
+function classifyTransaction({ inputs, outputs, extData }) {
+  const spent = sumAmounts(inputs)
+  const received = sumAmounts(outputs)
+  if (!extData) {
+    return [{ type: 'unknown', amount: received.sub(spent) }]
+  }
+  const extAmount = BigNumber.from(extData.extAmount)
+  const fee = BigNumber.from(extData.fee)
+
+  // somebody else has built the transaction
+  if (spent.isZero()) {
+    return [{ type: extAmount.gt(0) ? 'deposit' : 'transfer_received', amount: received }]
+  }
+
+  const entries = []
+  if (extAmount.gt(0)) {
+    entries.push({ type: 'deposit', amount: extAmount })
+  }
+  if (extAmount.lt(0)) {
+    entries.push({
+      type: extData.isL1Withdrawal ? 'l1_withdrawal' : 'withdrawal',
+      amount: extAmount.mul(-1),
+      l1Fee: extData.isL1Withdrawal ? BigNumber.from(extData.l1Fee) : null,
+      counterparty: extData.recipient,
+    })
+  }
+  if (fee.gt(0)) {
+    entries.push({ type: 'relayer_fee', amount: fee, counterparty: extData.relayer })
+  }
+  // inputs + extAmount - fee = all outputs
+  const sent = spent.add(extAmount).sub(fee).sub(received)
+  if (sent.gt(0)) {
+    entries.push({ type: 'transfer_sent', amount: sent })
+  }
+  return entries
+}
+
+/**
+ * Find external data of the pool call whose nullifiers or output commitments contain `needle`.
+ * Direct calls are decoded with the pool ABI. Bridged deposits carry `abi.encode(args, extData)` in a call
+ * nested inside the bridge message, so the calldata is searched for the selectors of such calls
+ */
+function findExtData(tornadoPool, tx, needle) {
+  const candidates = []
+  if (tx.to && tx.to.toLowerCase() === tornadoPool.address.toLowerCase()) {
+    try {
+      const { name, args } = tornadoPool.interface.parseTransaction(tx)
+      if (name === 'transact' || name === 'transactWithPermit') {
+        candidates.push({ args: args[0], extData: args[1] })
+      } else if (name === 'registerAndTransact') {
+        candidates.push({ args: args[1], extData: args[2] })
+      }
+    } catch (e) {
+      // not a pool method
+    }
+  }
+  if (candidates.length === 0) {
+    candidates.push(...searchBridgedData(tx.data))
+  }
+
+  const found = candidates.find(
+    ({ args, extData }) =>
+      BigNumber.from(args.extDataHash).eq(getExtDataHash(extData)) &&
+      [...args.inputNullifiers, ...args.outputCommitments].some((x) => toFixedHex(x) === needle),
+  )
+  return found ? found.extData : null
+}
+
+function searchBridgedData(data) {
+  const result = []
+  for (const fragment of Object.values(bridgeInterface.functions)) {
+    const selector = bridgeInterface.getSighash(fragment).slice(2)
+    // a call found at a byte boundary is decoded from there, trailing bytes of the outer call are ignored
+    for (let offset = data.indexOf(selector, 2); offset >= 0; offset = data.indexOf(selector, offset + 1)) {
+      if (offset % 2 !== 0) {
+        continue
+      }
+      try {
+        const call = bridgeInterface.decodeFunctionData(fragment, '0x' + data.slice(offset))
+        const [args, extData] = abi.decode([PROOF_TUPLE, EXT_DATA_TUPLE], call.data)
+        result.push({ args, extData })
+      } catch (e) {
+        // selector bytes inside other data
+      }
+    }
+  }
+  return result
+}
+
+function formatEntry(entry) {
+  return {
+    ...entry,
+    amount: entry.amount.toString(),
+    l1Fee: entry.l1Fee && entry.l1Fee.toString(),
+  }
+}
+
+/**
+ * @param entries result of {@link buildHistory}
+ * @returns {string} JSON with amounts as decimal strings
+ */
+function historyToJSON(entries) {
+  return JSON.stringify(entries.map(formatEntry), null, 2)
+}
+
+/**
+ * @param entries result of {@link buildHistory}
+ * @returns {string} CSV with header row, amounts are in wei
+ */
+function historyToCSV(entries) {
+  const formatCell = (entry, column) => {
+    if (column === 'date') {
+      return new Date(entry.timestamp * 1000).toISOString()
+    }
+    return entry[column] === null ? '' : entry[column]
+  }
+  const rows = entries.map(formatEntry).map((entry) => CSV_COLUMNS.map((x) => formatCell(entry, x)).join(','))
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+}
+
+module.exports = { buildHistory, historyToJSON, historyToCSV }
@@ -1,22 +1,45 @@
 /* eslint-disable no-console */
+const path = require('path')
 const MerkleTree = require('fixed-merkle-tree')
-const { ethers } = require('hardhat')
+const { ethers } = require('ethers')
 const { BigNumber } = ethers
-const { toFixedHex, poseidonHash2, getExtDataHash, FIELD_SIZE, shuffle } = require('./utils')
+const {
+  toFixedHex,
+  poseidonHash2,
+  getExtDataHash,
+  encodeDataForBridge,
+  queryEvents,
+  shuffle,
+} = require('./utils')
 const Utxo = require('./utxo')
+const { Keypair } = require('./keypair')
+const { selectInputs, sumAmounts } = require('./wallet')
 
-const { prove } = require('./prover')
-const MERKLE_TREE_HEIGHT = 5
+const { defaultProver } = require('./prover')
+const { simulateTransaction, calculatePublicAmount } = require('./simulate')
+const { estimateL1Fee } = require('./l1Fee')
 
-async function buildMerkleTree({ tornadoPool }) {
+/**
+ * Build merkle tree of pool commitments. Replays all events unless a synced `TreeStore` is provided
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param {TreeStore} treeStore optional incrementally synced tree
+ * @returns {Promise<MerkleTree>}
+ */
+async function buildMerkleTree({ tornadoPool, treeStore }) {
+  if (treeStore) {
+    return await treeStore.sync()
+  }
   const filter = tornadoPool.filters.NewCommitment()
   const events = await tornadoPool.queryFilter(filter, 0)
 
   const leaves = events.sort((a, b) => a.args.index - b.args.index).map((e) => toFixedHex(e.args.commitment))
-  return new MerkleTree(MERKLE_TREE_HEIGHT, leaves, { hashFunction: poseidonHash2 })
+  return new MerkleTree(await tornadoPool.levels(), leaves, { hashFunction: poseidonHash2 })
 }
 
 async function getProof({
+  tornadoPool,
+  prover = defaultProver,
   inputs,
   outputs,
   tree,
@@ -47,13 +70,15 @@ async function getProof({
     }
   }
 
+  // outputs of different sizes would reveal which one carries a memo
+  const versioned = outputs.some((x) => x.memo !== null)
   const extData = {
     recipient: toFixedHex(recipient, 20),
     extAmount: toFixedHex(extAmount),
     relayer: toFixedHex(relayer, 20),
     fee: toFixedHex(fee),
-    encryptedOutput1: outputs[0].encrypt(),
-    encryptedOutput2: outputs[1].encrypt(),
+    encryptedOutput1: outputs[0].encrypt({ versioned }),
+    encryptedOutput2: outputs[1].encrypt({ versioned }),
     isL1Withdrawal,
     l1Fee,
   }
@@ -63,7 +88,7 @@ async function getProof({
     root: tree.root(),
     inputNullifier: inputs.map((x) => x.getNullifier()),
     outputCommitment: outputs.map((x) => x.getCommitment()),
-    publicAmount: BigNumber.from(extAmount).sub(fee).add(FIELD_SIZE).mod(FIELD_SIZE).toString(),
+    publicAmount: calculatePublicAmount(extAmount, fee).toString(),
     extDataHash,
 
     // data for 2 transaction inputs
@@ -79,10 +104,7 @@ async function getProof({
     outPubkey: outputs.map((x) => x.keypair.pubkey),
   }
 
-  const proof = await prove(input, `./artifacts/circuits/transaction${inputs.length}`)
-
   const args = {
-    proof,
     root: toFixedHex(input.root),
     inputNullifiers: inputs.map((x) => toFixedHex(x.getNullifier())),
     outputCommitments: outputs.map((x) => toFixedHex(x.getCommitment())),
@@ -91,12 +113,43 @@ async function getProof({
   }
   // console.log('Solidity args', args)
 
+  // fail early instead of spending time on a proof that the pool will reject
+  if (tornadoPool) {
+    const errors = await simulateTransaction({ tornadoPool, args, extData })
+    if (errors.length > 0) {
+      const message = `Transaction simulation failed: ${errors.map((e) => e.message).join(', ')}`
+      throw Object.assign(new Error(message), { errors })
+    }
+  }
+
+  const proof = await prover.prove(
+    input,
+    path.join(__dirname, `../artifacts/circuits/transaction${inputs.length}`),
+  )
+
   return {
     extData,
-    args,
+    args: { proof, ...args },
   }
 }
 
+/**
+ * L1 fee is a part of the withdrawn amount, so the L1 recipient gets `amount - l1Fee`. `'auto'` estimates it
+ * with `estimateL1Fee`
+ */
+async function resolveL1Fee({ l1Fee, isL1Withdrawal, l1Provider, amount }) {
+  if (l1Fee !== 'auto') {
+    return l1Fee
+  }
+  if (!isL1Withdrawal) {
+    return 0
+  }
+  if (!l1Provider) {
+    throw new Error("L1 provider is required for l1Fee: 'auto'")
+  }
+  return await estimateL1Fee({ l1Provider, amount })
+}
+
 async function prepareTransaction({
   tornadoPool,
   inputs = [],
@@ -106,6 +159,10 @@ async function prepareTransaction({
   relayer = 0,
   isL1Withdrawal = false,
   l1Fee = 0,
+  l1Provider,
+  treeStore,
+  simulate = true,
+  prover,
 }) {
   if (inputs.length > 16 || outputs.length > 2) {
     throw new Error('Incorrect inputs/outputs count')
@@ -121,10 +178,14 @@ async function prepareTransaction({
     .add(outputs.reduce((sum, x) => sum.add(x.amount), BigNumber.from(0)))
     .sub(inputs.reduce((sum, x) => sum.add(x.amount), BigNumber.from(0)))
 
+  l1Fee = await resolveL1Fee({ l1Fee, isL1Withdrawal, l1Provider, amount: extAmount })
+
   const { args, extData } = await getProof({
+    tornadoPool: simulate ? tornadoPool : null,
+    prover,
     inputs,
     outputs,
-    tree: await buildMerkleTree({ tornadoPool }),
+    tree: await buildMerkleTree({ tornadoPool, treeStore }),
     extAmount,
     fee,
     recipient,
@@ -139,28 +200,240 @@ async function prepareTransaction({
   }
 }
 
-async function transaction({ tornadoPool, ...rest }) {
+async function transaction({ tornadoPool, gasLimit = 2e6, ...rest }) {
   const { args, extData } = await prepareTransaction({
     tornadoPool,
     ...rest,
   })
 
   const receipt = await tornadoPool.transact(args, extData, {
-    gasLimit: 2e6,
+    gasLimit,
   })
   return await receipt.wait()
 }
 
-async function registerAndTransact({ tornadoPool, account, ...rest }) {
+async function registerAndTransact({ tornadoPool, account, gasLimit = 2e6, ...rest }) {
   const { args, extData } = await prepareTransaction({
     tornadoPool,
     ...rest,
   })
 
   const receipt = await tornadoPool.registerAndTransact(account, args, extData, {
-    gasLimit: 2e6,
+    gasLimit,
   })
   await receipt.wait()
 }
 
-module.exports = { transaction, registerAndTransact, prepareTransaction, buildMerkleTree }
+/**
+ * Deposit native currency from L1 through `L1Unwrapper.wrapAndRelayTokens`. The proof is built against the
+ * current L2 root, but it is checked only when the bridge delivers the message. The pool keeps the last
+ * `ROOT_HISTORY_SIZE` roots, so if that many L2 transactions happen in the meantime, the deposit fails and the
+ * tokens are sent to the pool multisig
+ *
+ * @param {Contract} l1Unwrapper L1Unwrapper instance connected to the depositor
+ * @param {Contract} tornadoPool L2 pool instance, used for the merkle tree and simulation
+ * @param {Utxo[]} outputs new UTXOs, their sum is the deposit amount
+ * @param {{owner: string, publicKey: string}} account optional registration of the depositor's shielded key
+ * @param {function(string)} warn receives the stale root warning
+ * @returns {Promise<Object>} L1 transaction receipt
+ */
+async function depositFromL1({
+  l1Unwrapper,
+  tornadoPool,
+  outputs,
+  account = { owner: ethers.constants.AddressZero, publicKey: '0x' },
+  gasLimit = 2e6,
+  warn = console.warn,
+  ...rest
+}) {
+  const { args, extData } = await prepareTransaction({ tornadoPool, outputs, ...rest })
+  const extAmount = BigNumber.from(extData.extAmount)
+  if (extAmount.lte(0)) {
+    throw new Error('Deposit amount should be positive')
+  }
+  warn(
+    `Deposit proof uses L2 root ${args.root}. If the pool gets ${await tornadoPool.ROOT_HISTORY_SIZE()} ` +
+      'more transactions before the bridge delivers the deposit, it will fail and the funds will go to the multisig',
+  )
+
+  const tx = await l1Unwrapper.wrapAndRelayTokens(
+    tornadoPool.address,
+    encodeDataForBridge({ proof: args, extData }),
+    account,
+    { value: extAmount, gasLimit },
+  )
+  return await tx.wait()
+}
+
+/**
+ * Send transaction through a relayer. Relayer address and fee are bound into `extDataHash`, so the
+ * transaction is rebuilt with a fresh quote if the fee changes before submission
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param {RelayerClient} relayerClient
+ * @param {function({fee: BigNumber}): Object} build returns `prepareTransaction` params for the quoted fee
+ * @param {BigNumber | number | string} maxFee the highest acceptable relayer fee
+ * @param {number} retries number of attempts with a fresh quote after the fee has changed
+ * @param {number} pollInterval delay between job and nullifier checks in ms
+ * @param {number} timeout ms to wait for the relayer job, and then for the pool to spend the inputs
+ * @returns {Promise<Object>} receipt of the transaction that has spent the inputs
+ */
+async function relayedTransaction({
+  tornadoPool,
+  relayerClient,
+  build,
+  maxFee,
+  retries = 2,
+  pollInterval = 1000,
+  timeout = 300000,
+}) {
+  for (let attempt = 0; ; attempt++) {
+    const status = await relayerClient.getStatus()
+    if (status.pool.toLowerCase() !== tornadoPool.address.toLowerCase()) {
+      throw new Error(`Relayer works with another pool ${status.pool}`)
+    }
+    const fee = BigNumber.from(status.fee)
+    if (maxFee !== undefined && fee.gt(maxFee)) {
+      throw new Error(`Relayer fee ${fee.toString()} is higher than ${BigNumber.from(maxFee).toString()}`)
+    }
+
+    let fromBlock = await tornadoPool.provider.getBlockNumber()
+    const { args, extData } = await prepareTransaction({
+      tornadoPool,
+      ...build({ fee }),
+      relayer: status.relayer,
+      fee,
+    })
+    let id
+    try {
+      id = await relayerClient.submit({ args, extData })
+    } catch (e) {
+      if (e.code === 'FEE_TOO_LOW' && attempt < retries) {
+        continue
+      }
+      throw e
+    }
+
+    const job = await relayerClient.waitForJob(id, { pollInterval, timeout })
+    // relayer reports are not trusted, the transaction is done once the pool has spent the inputs
+    const nullifiers = args.inputNullifiers.map((x) => toFixedHex(x))
+    const deadline = Date.now() + timeout
+    const spent = new Map()
+    for (;;) {
+      // every poll queries only the blocks mined since the previous one
+      const toBlock = await tornadoPool.provider.getBlockNumber()
+      const filter = tornadoPool.filters.NewNullifier()
+      for (const event of await queryEvents({ contract: tornadoPool, filter, fromBlock, toBlock })) {
+        spent.set(toFixedHex(event.args.nullifier), event.transactionHash)
+      }
+      fromBlock = toBlock + 1
+      if (nullifiers.every((x) => spent.has(x))) {
+        return await tornadoPool.provider.getTransactionReceipt(spent.get(nullifiers[0]))
+      }
+      if (Date.now() > deadline) {
+        throw Object.assign(
+          new Error(`Inputs are not spent ${timeout} ms after relayer reported transaction ${job.txHash}`),
+          { job },
+        )
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollInterval))
+    }
+  }
+}
+
+/**
+ * Build inputs and outputs for a payment from a wallet. Inputs are picked from known wallet UTXOs, the change
+ * goes back to the wallet keypair
+ *
+ * @param {{keypair: Keypair, utxos: Utxo[]}} wallet sender wallet, e.g. result of `scanWallet`
+ * @param {BigNumber | number | string} amount amount to send
+ * @param {Keypair | string} to shielded recipient keypair or address, omit for withdrawals
+ * @param {BigNumber | number | string} fee relayer fee
+ * @param {string | Uint8Array} memo optional memo for the recipient, only for shielded transfers
+ * @returns {{inputs: Utxo[], outputs: Utxo[]}}
+ */
+function buildSend({ wallet, amount, to, fee = 0, memo = null }) {
+  if (memo !== null && !to) {
+    throw new Error('Memo can be attached only to a shielded transfer')
+  }
+  amount = BigNumber.from(amount)
+  const spendAmount = amount.add(fee)
+
+  const inputs = selectInputs(wallet.utxos, spendAmount)
+  const outputs = [new Utxo({ amount: sumAmounts(inputs).sub(spendAmount), keypair: wallet.keypair })]
+  if (to) {
+    const keypair = typeof to === 'string' ? Keypair.fromString(to) : to
+    outputs.unshift(new Utxo({ amount, keypair, memo }))
+  }
+  return { inputs, outputs }
+}
+
+/**
+ * Send funds from a wallet: shielded transfer if `to` is provided or withdrawal to `recipient` otherwise.
+ * `to` can also be an Ethereum address with a shielded key registered in `registry`. If `relayerClient` is
+ * provided, the transaction is sent through the relayer and `fee` is taken from its quote up to `maxFee`,
+ * `retries`, `pollInterval` and `timeout` are passed to {@link relayedTransaction}, otherwise it is sent with
+ * `gasLimit`. Other params are passed to {@link prepareTransaction}.
+ * `l1Fee` of an L1 withdrawal is paid from `amount`, `'auto'` estimates it with `l1Provider`. `memo` is encrypted for the
+ * shielded recipient
+ */
+async function send({
+  tornadoPool,
+  wallet,
+  amount,
+  to,
+  fee = 0,
+  l1Fee = 0,
+  recipient = 0,
+  memo = null,
+  registry,
+  relayerClient,
+  maxFee,
+  retries,
+  pollInterval,
+  timeout,
+  gasLimit,
+  ...rest
+}) {
+  if (!to && !recipient) {
+    throw new Error('Either shielded recipient or withdrawal address should be provided')
+  }
+  if (typeof to === 'string' && ethers.utils.isAddress(to)) {
+    if (!registry) {
+      throw new Error('Key registry is required to send to an Ethereum address')
+    }
+    to = (await registry.resolve(to)).keypair
+  } else if (typeof to === 'string') {
+    // checksummed address should be for the pool chain
+    to = Keypair.fromString(to, (await tornadoPool.provider.getNetwork()).chainId)
+  }
+  if (relayerClient) {
+    return await relayedTransaction({
+      tornadoPool,
+      relayerClient,
+      maxFee,
+      retries,
+      pollInterval,
+      timeout,
+      build: ({ fee }) => ({
+        ...buildSend({ wallet, amount, to, fee, memo }),
+        l1Fee,
+        recipient,
+        ...rest,
+      }),
+    })
+  }
+  const { inputs, outputs } = buildSend({ wallet, amount, to, fee, memo })
+  return await transaction({ tornadoPool, inputs, outputs, fee, l1Fee, recipient, gasLimit, ...rest })
+}
+
+module.exports = {
+  transaction,
+  registerAndTransact,
+  depositFromL1,
+  relayedTransaction,
+  prepareTransaction,
+  buildMerkleTree,
+  buildSend,
+  send,
+}
@@ -0,0 +1,95 @@
+class EventIndexer {
+  /**
+   * Indexer of contract events that keeps hashes of the blocks it has seen and rolls back events from
+   * orphaned blocks after a chain reorganisation
+   *
+   * @param {Contract} contract contract instance, e.g. pool or L1Unwrapper
+   * @param {string[]} eventNames names of the events to index
+   * @param {number} confirmations number of blocks on top of a block before its events are indexed
+   * @param {number} fromBlock block to start indexing from, e.g. contract deployment block
+   * @param {number} chunkSize maximum block range of a single events query
+   */
+  constructor({
+    contract,
+    eventNames = ['NewCommitment', 'NewNullifier', 'PublicKey'],
+    confirmations = 0,
+    fromBlock = 0,
+    chunkSize = 10000,
+  }) {
+    this.contract = contract
+    this.eventNames = eventNames
+    this.confirmations = confirmations
+    this.fromBlock = fromBlock
+    this.chunkSize = chunkSize
+    this.lastBlock = fromBlock - 1
+    this.events = []
+    this.blockHashes = new Map()
+  }
+
+  /**
+   * Roll back events from orphaned blocks and fetch events up to the confirmed block
+   *
+   * @returns {Promise<{added: Event[], removed: Event[]}>} events that were added and rolled back by this sync
+   */
+  async sync() {
+    const provider = this.contract.provider
+    const removed = await this._rollback()
+
+    const confirmedBlock = (await provider.getBlockNumber()) - this.confirmations
+    const added = []
+    for (let fromBlock = this.lastBlock + 1; fromBlock <= confirmedBlock; fromBlock += this.chunkSize) {
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, confirmedBlock)
+      for (const name of this.eventNames) {
+        const events = await this.contract.queryFilter(this.contract.filters[name](), fromBlock, toBlock)
+        for (const event of events) {
+          this.blockHashes.set(event.blockNumber, event.blockHash)
+          added.push(event)
+        }
+      }
+      this.lastBlock = toBlock
+    }
+    if (this.lastBlock >= this.fromBlock && !this.blockHashes.has(this.lastBlock)) {
+      this.blockHashes.set(this.lastBlock, (await provider.getBlock(this.lastBlock)).hash)
+    }
+
+    this.events.push(...added.sort(compareEvents))
+    return { added, removed }
+  }
+
+  /**
+   * Indexed events of the specified type in the chain order
+   *
+   * @param {string} name event name
+   * @returns {Event[]}
+   */
+  getEvents(name) {
+    return this.events.filter((e) => e.event === name)
+  }
+
+  async _rollback() {
+    // the latest block that is still in the canonical chain, every block below it is canonical as well
+    let commonBlock = this.fromBlock - 1
+    for (const blockNumber of [...this.blockHashes.keys()].sort((a, b) => b - a)) {
+      const block = await this.contract.provider.getBlock(blockNumber)
+      if (block && block.hash === this.blockHashes.get(blockNumber)) {
+        commonBlock = blockNumber
+        break
+      }
+      this.blockHashes.delete(blockNumber)
+    }
+    if (commonBlock >= this.lastBlock) {
+      return []
+    }
+
+    const removed = this.events.filter((e) => e.blockNumber > commonBlock)
+    this.events = this.events.filter((e) => e.blockNumber <= commonBlock)
+    this.lastBlock = commonBlock
+    return removed
+  }
+}
+
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+}
+
+module.exports = EventIndexer
@@ -1,7 +1,16 @@
 const { encrypt, decrypt, getEncryptionPublicKey } = require('eth-sig-util')
-const { ethers } = require('hardhat')
+const { ethers } = require('ethers')
 const { BigNumber } = ethers
 const { poseidonHash, toFixedHex } = require('./utils')
+const { encodeAddress, decodeAddress, isEncodedAddress } = require('./address')
+
+/** Message that is signed by an Ethereum account to derive its shielded keys */
+const KEY_DERIVATION_MESSAGE =
+  'Sign this message to access your Tornado Nova shielded account.\n\nOnly sign it on a trusted website.'
+const KEY_DERIVATION_DOMAIN = ethers.utils.toUtf8Bytes('tornado-nova-keypair')
+const VIEW_KEY_DOMAIN = ethers.utils.toUtf8Bytes('tornado-nova-view-key')
+// exported view keys are secret, the prefix keeps them from being used as addresses
+const VIEW_KEY_PREFIX = 'novaview:'
 
 function packEncryptedMessage(encryptedMessage) {
   const nonceBuf = Buffer.from(encryptedMessage.nonce, 'base64')
@@ -38,11 +47,63 @@ class Keypair {
    * Initialize a new keypair. Generates a random private key if not defined
    *
    * @param {string} privkey
+   * @param {string} viewKey private key used to decrypt notes, legacy keypairs use `privkey` for it
    */
-  constructor(privkey = ethers.Wallet.createRandom().privateKey) {
+  constructor(privkey = ethers.Wallet.createRandom().privateKey, viewKey = privkey) {
     this.privkey = privkey
+    this.viewKey = viewKey
     this.pubkey = poseidonHash([this.privkey])
-    this.encryptionKey = getEncryptionPublicKey(privkey.slice(2))
+    this.encryptionKey = getEncryptionPublicKey(viewKey.slice(2))
+  }
+
+  /**
+   * Initialize keypair with a view key derived from the private key, so that the view key can be shared
+   * without spending power. Addresses of such keypairs differ from legacy ones with the same private key
+   *
+   * @param {string} privkey
+   * @returns {Keypair}
+   */
+  static withViewKey(privkey = ethers.Wallet.createRandom().privateKey) {
+    return new Keypair(privkey, ethers.utils.keccak256(ethers.utils.concat([VIEW_KEY_DOMAIN, privkey])))
+  }
+
+  /**
+   * Export public key and view key as `novaview:` followed by 128 hex characters. The result allows to decrypt
+   * and scan notes of this keypair, but not to spend them. It is secret and is rejected by {@link fromString}
+   *
+   * @returns {string}
+   */
+  exportViewKey() {
+    if (!this.viewKey) {
+      throw new Error('Keypair has no view key')
+    }
+    if (this.viewKey === this.privkey) {
+      throw new Error('Legacy keypair decrypts notes with its private key, use Keypair.withViewKey')
+    }
+    return VIEW_KEY_PREFIX + toFixedHex(this.pubkey).slice(2) + this.viewKey.slice(2)
+  }
+
+  /**
+   * Initialize view-only keypair from the result of {@link exportViewKey}
+   *
+   * @param {string} str
+   * @returns {Keypair}
+   */
+  static fromViewKey(str) {
+    if (!str.startsWith(VIEW_KEY_PREFIX)) {
+      throw new Error(`View key should start with ${VIEW_KEY_PREFIX}`)
+    }
+    str = str.slice(VIEW_KEY_PREFIX.length)
+    if (str.length !== 128) {
+      throw new Error('Invalid view key length')
+    }
+    const viewKey = '0x' + str.slice(64, 128)
+    return Object.assign(new Keypair(), {
+      privkey: null,
+      viewKey,
+      pubkey: BigNumber.from('0x' + str.slice(0, 64)),
+      encryptionKey: getEncryptionPublicKey(viewKey.slice(2)),
+    })
   }
 
   toString() {
@@ -59,12 +120,39 @@ class Keypair {
   }
 
   /**
-   * Initialize new keypair from address string
+   * Checksummed address for this keypair, see {@link encodeAddress}. Unlike {@link address} it can't be
+   * mistyped or used on another chain by mistake
+   *
+   * @param {number} chainId chain id of the pool
+   * @returns {string}
+   */
+  toAddress(chainId) {
+    return encodeAddress({ pubkey: this.pubkey, encryptionKey: this.encryptionKey, chainId })
+  }
+
+  /**
+   * Initialize new keypair from address string, either checksummed or legacy 128 hex characters
    *
    * @param str
+   * @param {number} chainId if specified, checksummed address should be for this chain
    * @returns {Keypair}
    */
-  static fromString(str) {
+  static fromString(str, chainId) {
+    if (str.startsWith(VIEW_KEY_PREFIX)) {
+      throw new Error('This is a secret view key, not an address')
+    }
+    if (isEncodedAddress(str)) {
+      const address = decodeAddress(str)
+      if (chainId !== undefined && address.chainId !== Number(chainId)) {
+        throw new Error(`Address is for chain ${address.chainId}, not ${chainId}`)
+      }
+      return Object.assign(new Keypair(), {
+        privkey: null,
+        viewKey: null,
+        pubkey: address.pubkey,
+        encryptionKey: address.encryptionKey,
+      })
+    }
     if (str.length === 130) {
       str = str.slice(2)
     }
@@ -73,11 +161,61 @@ class Keypair {
     }
     return Object.assign(new Keypair(), {
       privkey: null,
+      viewKey: null,
       pubkey: BigNumber.from('0x' + str.slice(0, 64)),
       encryptionKey: Buffer.from(str.slice(64, 128), 'hex').toString('base64'),
     })
   }
 
+  /**
+   * Derive keypair from a seed. The same seed and account index always give the same keypair. Derived keypairs
+   * have a separate view key, see {@link withViewKey}, so their address differs from `new Keypair(privkey)`
+   * with the same private key. Keypairs derived before view keys were added are `new Keypair(privkey)`, restore
+   * them with `new Keypair(Keypair.fromSeed(seed).privkey)`
+   *
+   * @param {string|Uint8Array} seed secret bytes or hex string, at least 32 bytes long
+   * @param {number} accountIndex index of the account derived from the seed
+   * @returns {Keypair}
+   */
+  static fromSeed(seed, accountIndex = 0) {
+    seed = ethers.utils.arrayify(seed)
+    if (seed.length < 32) {
+      throw new Error('Seed should be at least 32 bytes long')
+    }
+    if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex > 0xffffffff) {
+      throw new Error('Account index should be a 32 bit unsigned integer')
+    }
+    const privkey = ethers.utils.keccak256(
+      ethers.utils.concat([KEY_DERIVATION_DOMAIN, seed, ethers.utils.hexZeroPad(accountIndex, 4)]),
+    )
+    return Keypair.withViewKey(privkey)
+  }
+
+  /**
+   * Derive keypair from a signature of {@link KEY_DERIVATION_MESSAGE}. Ethereum wallets sign deterministically,
+   * so the keypair can be restored by signing the message again
+   *
+   * @param {string} signedMessage hex string with the signature
+   * @param {number} accountIndex index of the account derived from the signature
+   * @returns {Keypair}
+   */
+  static fromSignature(signedMessage, accountIndex = 0) {
+    // normalize `v` so that both 0/1 and 27/28 signatures give the same keypair
+    const signature = ethers.utils.joinSignature(ethers.utils.splitSignature(signedMessage))
+    return Keypair.fromSeed(ethers.utils.keccak256(signature), accountIndex)
+  }
+
+  /**
+   * Derive keypair by signing {@link KEY_DERIVATION_MESSAGE} with an Ethereum signer
+   *
+   * @param {Signer} signer
+   * @param {number} accountIndex index of the account derived from the signature
+   * @returns {Promise<Keypair>}
+   */
+  static async fromSigner(signer, accountIndex = 0) {
+    return Keypair.fromSignature(await signer.signMessage(KEY_DERIVATION_MESSAGE), accountIndex)
+  }
+
   /**
    * Sign a message using keypair private key
    *
@@ -86,6 +224,9 @@ class Keypair {
    * @returns {BigNumber} a hex string with signature
    */
   sign(commitment, merklePath) {
+    if (!this.privkey) {
+      throw new Error('Can not sign without private key')
+    }
     return poseidonHash([this.privkey, commitment, merklePath])
   }
 
@@ -102,18 +243,23 @@ class Keypair {
   }
 
   /**
-   * Decrypt data using keypair private key
+   * Decrypt data using keypair view key
    *
    * @param {string} data a hex string with data
    * @returns {Buffer}
    */
   decrypt(data) {
-    return Buffer.from(decrypt(unpackEncryptedMessage(data), this.privkey.slice(2)), 'base64')
+    if (!this.viewKey) {
+      throw new Error('Can not decrypt without view key')
+    }
+    return Buffer.from(decrypt(unpackEncryptedMessage(data), this.viewKey.slice(2)), 'base64')
   }
 }
 
 module.exports = {
   Keypair,
+  KEY_DERIVATION_MESSAGE,
+  VIEW_KEY_PREFIX,
   packEncryptedMessage,
   unpackEncryptedMessage,
 }
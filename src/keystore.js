@@ -0,0 +1,328 @@
+const crypto = require('crypto')
+const { promisify } = require('util')
+const { ethers } = require('ethers')
+const { Keypair, VIEW_KEY_PREFIX } = require('./keypair')
+const { toFixedHex } = require('./utils')
+
+const scrypt = promisify(crypto.scrypt)
+
+const KEYSTORE_VERSION = 1
+const CIPHER = 'aes-128-ctr'
+const DEFAULT_KDF_PARAMS = { n: 262144, r: 8, p: 1, dklen: 32 }
+
+async function deriveKey(password, { n, r, p, dklen, salt }) {
+  // scrypt needs 128 * n * r bytes, node limits it to 32 MB by default
+  const maxmem = 256 * n * r
+  return await scrypt(password.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, { N: n, r, p, maxmem })
+}
+
+function computeMac(derivedKey, data) {
+  return ethers.utils.keccak256(Buffer.concat([derivedKey.slice(16, 32), data])).slice(2)
+}
+
+function encryptSecret(derivedKey, secret) {
+  const iv = crypto.randomBytes(16)
+  const cipher = crypto.createCipheriv(CIPHER, derivedKey.slice(0, 16), iv)
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()])
+  return {
+    cipher: CIPHER,
+    cipherparams: { iv: iv.toString('hex') },
+    ciphertext: ciphertext.toString('hex'),
+    mac: computeMac(derivedKey, ciphertext),
+  }
+}
+
+function decryptSecret(derivedKey, { cipher, cipherparams, ciphertext, mac }) {
+  if (cipher !== CIPHER) {
+    throw new Error(`Unsupported cipher ${cipher}`)
+  }
+  ciphertext = Buffer.from(ciphertext, 'hex')
+  if (computeMac(derivedKey, ciphertext) !== mac) {
+    throw new Error('Wrong password')
+  }
+  const iv = Buffer.from(cipherparams.iv, 'hex')
+  const decipher = crypto.createDecipheriv(CIPHER, derivedKey.slice(0, 16), iv)
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()])
+}
+
+/** Spending keys are stored as `privkey ‖ viewKey`, view-only keys as `pubkey ‖ viewKey` */
+function serializeKeypair(keypair) {
+  if (keypair.privkey) {
+    return { type: 'spend', secret: Buffer.from(keypair.privkey.slice(2) + keypair.viewKey.slice(2), 'hex') }
+  }
+  return {
+    type: 'view',
+    secret: Buffer.from(toFixedHex(keypair.pubkey).slice(2) + keypair.viewKey.slice(2), 'hex'),
+  }
+}
+
+function deserializeKeypair(type, secret) {
+  const hex = secret.toString('hex')
+  if (type === 'view') {
+    return Keypair.fromViewKey(VIEW_KEY_PREFIX + hex)
+  }
+  return new Keypair('0x' + hex.slice(0, 64), '0x' + hex.slice(64, 128))
+}
+
+/**
+ * Password protected storage of shielded keypairs, modeled after Ethereum JSON keystores. JSON format:
+ *
+ * ```
+ * {
+ *   "version": 1,
+ *   "crypto": {
+ *     "kdf": "scrypt",
+ *     "kdfparams": { "n": 262144, "r": 8, "p": 1, "dklen": 32, "salt": "<hex>" },
+ *     "mac": "<hex>"
+ *   },
+ *   "keys": [{
+ *     "id": "<hex>",
+ *     "type": "spend" | "view",
+ *     "address": "<shielded address>",
+ *     "label": "main",
+ *     "createdBlock": 0,
+ *     "lastScannedBlock": 0,
+ *     "crypto": {
+ *       "cipher": "aes-128-ctr",
+ *       "cipherparams": { "iv": "<hex>" },
+ *       "ciphertext": "<hex>",
+ *       "mac": "<hex>"
+ *     }
+ *   }]
+ * }
+ * ```
+ *
+ * The password is stretched once per keystore with scrypt into a 32 bytes key. Its first half encrypts every
+ * key secret with AES-128-CTR and a random iv, the secret is `privkey ‖ viewKey` for spending keys and
+ * `pubkey ‖ viewKey` for view-only keys. MACs are `keccak256(derivedKey[16:32] ‖ data)`, where data is the
+ * ciphertext for keys and empty for the keystore MAC that checks the password. Addresses and metadata are not
+ * encrypted, so they can be listed without the password
+ */
+class Keystore {
+  constructor({ crypto: params = null, keys = [] }) {
+    this.crypto = params
+    this.keys = keys
+    this.derivedKey = null
+  }
+
+  /**
+   * Create an empty unlocked keystore
+   *
+   * @param {string} password
+   * @param {{n: number, r: number, p: number, dklen: number}} kdfparams scrypt parameters, stronger ones take
+   * more time and memory to unlock
+   * @returns {Promise<Keystore>}
+   */
+  static async create(password, kdfparams = DEFAULT_KDF_PARAMS) {
+    const keystore = new Keystore({})
+    await keystore._setPassword(password, kdfparams)
+    return keystore
+  }
+
+  /**
+   * Load a locked keystore
+   *
+   * @param {string|Object} json keystore JSON
+   * @returns {Keystore}
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json
+    if (data.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version ${data.version}`)
+    }
+    if (data.crypto.kdf !== 'scrypt') {
+      throw new Error(`Unsupported kdf ${data.crypto.kdf}`)
+    }
+    return new Keystore({ crypto: data.crypto, keys: data.keys.map((x) => ({ ...x })) })
+  }
+
+  toJSON() {
+    return { version: KEYSTORE_VERSION, crypto: this.crypto, keys: this.keys }
+  }
+
+  get locked() {
+    return !this.derivedKey
+  }
+
+  /** @param {string} password */
+  async unlock(password) {
+    const derivedKey = await deriveKey(password, this.crypto.kdfparams)
+    if (computeMac(derivedKey, Buffer.alloc(0)) !== this.crypto.mac) {
+      throw new Error('Wrong password')
+    }
+    this.derivedKey = derivedKey
+  }
+
+  /** Forget the derived key, keypairs can't be decrypted until the next {@link unlock} */
+  lock() {
+    if (this.derivedKey) {
+      this.derivedKey.fill(0)
+    }
+    this.derivedKey = null
+  }
+
+  /**
+   * Re-encrypt all keys with a new password and a fresh salt. A locked keystore is locked again afterwards
+   *
+   * @param {string} oldPassword
+   * @param {string} newPassword
+   * @param {{n: number, r: number, p: number, dklen: number}} kdfparams scrypt parameters for the new password
+   */
+  async changePassword(oldPassword, newPassword, kdfparams = DEFAULT_KDF_PARAMS) {
+    const locked = this.locked
+    await this.unlock(oldPassword)
+    const secrets = this.keys.map((key) => decryptSecret(this.derivedKey, key.crypto))
+    await this._setPassword(newPassword, kdfparams)
+    this.keys.forEach((key, i) => {
+      key.crypto = encryptSecret(this.derivedKey, secrets[i])
+    })
+    if (locked) {
+      this.lock()
+    }
+  }
+
+  /**
+   * Keys metadata, available without unlocking
+   *
+   * @returns {Array<{id: string, type: string, address: string, label: string, createdBlock: number,
+   * lastScannedBlock: number}>}
+   */
+  list() {
+    return this.keys.map(({ id, type, address, label, createdBlock, lastScannedBlock }) => ({
+      id,
+      type,
+      address,
+      label,
+      createdBlock,
+      lastScannedBlock,
+    }))
+  }
+
+  /**
+   * Encrypt and add a keypair
+   *
+   * @param {Keypair} keypair spending or view-only keypair
+   * @param {string} label
+   * @param {number} createdBlock block to start scanning from
+   * @returns {string} key id
+   */
+  addKey(keypair, { label = '', createdBlock = 0 } = {}) {
+    this._requireUnlocked()
+    const address = keypair.address()
+    if (this.keys.some((x) => x.address === address)) {
+      throw new Error(`Key ${address} is already in the keystore`)
+    }
+    if (label && this.keys.some((x) => x.label === label)) {
+      throw new Error(`Label ${label} is already used`)
+    }
+    const { type, secret } = serializeKeypair(keypair)
+    const key = {
+      id: crypto.randomBytes(16).toString('hex'),
+      type,
+      address,
+      label,
+      createdBlock,
+      lastScannedBlock: createdBlock,
+      crypto: encryptSecret(this.derivedKey, secret),
+    }
+    this.keys.push(key)
+    return key.id
+  }
+
+  /**
+   * @param {string} id key id or label
+   * @returns {Keypair}
+   */
+  getKeypair(id) {
+    this._requireUnlocked()
+    const key = this._findKey(id)
+    return deserializeKeypair(key.type, decryptSecret(this.derivedKey, key.crypto))
+  }
+
+  /**
+   * Update key metadata, e.g. `lastScannedBlock` after a wallet scan
+   *
+   * @param {string} id key id or label
+   * @param {{label: string, createdBlock: number, lastScannedBlock: number}} metadata
+   */
+  updateKey(id, { label, createdBlock, lastScannedBlock }) {
+    const key = this._findKey(id)
+    for (const [name, value] of Object.entries({ label, createdBlock, lastScannedBlock })) {
+      if (value !== undefined) {
+        key[name] = value
+      }
+    }
+  }
+
+  /** @param {string} id key id or label */
+  removeKey(id) {
+    const key = this._findKey(id)
+    this.keys = this.keys.filter((x) => x !== key)
+  }
+
+  /**
+   * Export keys into a separate keystore, e.g. to move them to another device
+   *
+   * @param {string[]} ids key ids or labels, all keys by default
+   * @param {string} password password of the exported keystore
+   * @returns {Promise<Object>} keystore JSON
+   */
+  async exportKeys(ids, password) {
+    this._requireUnlocked()
+    const keys = (ids || this.keys.map((x) => x.id)).map((id) => this._findKey(id))
+    const exported = await Keystore.create(password, this.crypto.kdfparams)
+    for (const key of keys) {
+      const secret = decryptSecret(this.derivedKey, key.crypto)
+      exported.keys.push({ ...key, crypto: encryptSecret(exported.derivedKey, secret) })
+    }
+    exported.lock()
+    return exported.toJSON()
+  }
+
+  /**
+   * Import keys from another keystore, keys that are already present are skipped
+   *
+   * @param {string|Object} json keystore JSON
+   * @param {string} password password of the imported keystore
+   * @returns {Promise<string[]>} ids of the imported keys
+   */
+  async importKeys(json, password) {
+    this._requireUnlocked()
+    const source = Keystore.fromJSON(json)
+    await source.unlock(password)
+    const imported = []
+    for (const key of source.keys) {
+      if (this.keys.some((x) => x.address === key.address)) {
+        continue
+      }
+      const secret = decryptSecret(source.derivedKey, key.crypto)
+      this.keys.push({ ...key, crypto: encryptSecret(this.derivedKey, secret) })
+      imported.push(key.id)
+    }
+    source.lock()
+    return imported
+  }
+
+  async _setPassword(password, { n, r, p, dklen }) {
+    const kdfparams = { n, r, p, dklen, salt: crypto.randomBytes(32).toString('hex') }
+    this.lock()
+    this.derivedKey = await deriveKey(password, kdfparams)
+    this.crypto = { kdf: 'scrypt', kdfparams, mac: computeMac(this.derivedKey, Buffer.alloc(0)) }
+  }
+
+  _findKey(id) {
+    const key = this.keys.find((x) => x.id === id || (x.label && x.label === id))
+    if (!key) {
+      throw new Error(`Key ${id} was not found`)
+    }
+    return key
+  }
+
+  _requireUnlocked() {
+    if (this.locked) {
+      throw new Error('Keystore is locked')
+    }
+  }
+}
+
+module.exports = Keystore
@@ -0,0 +1,38 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+
+/** `L1Unwrapper.onTokenBridged`: WETH withdrawal and two ether transfers */
+const ON_TOKEN_BRIDGED_GAS = 70000
+/** AMB signatures check and omnibridge token release that precede the unwrapper call */
+const BRIDGE_EXECUTION_GAS = 230000
+const L1_WITHDRAWAL_GAS = BRIDGE_EXECUTION_GAS + ON_TOKEN_BRIDGED_GAS
+
+/**
+ * Suggest `l1Fee` for an L1 withdrawal. The fee goes to whoever executes the bridge message on L1
+ * (`L1Unwrapper.l1FeeReceiver` or `tx.origin`), so it should cover the gas of the whole execution
+ *
+ * @param {Provider} l1Provider L1 provider to read the fee data from
+ * @param {BigNumber | number | string} amount withdrawn amount, the fee is paid from it and should be below it
+ * @param {number} gasLimit gas used by the bridge message execution
+ * @param {number} margin percent added on top of the gas cost
+ * @returns {Promise<BigNumber>}
+ */
+async function estimateL1Fee({ l1Provider, amount, gasLimit = L1_WITHDRAWAL_GAS, margin = 10 }) {
+  // maxFeePerGas is twice the base fee, the bridge message is executed soon after the estimation
+  const { baseFeePerGas } = await l1Provider.getBlock('latest')
+  const { maxPriorityFeePerGas, gasPrice } = await l1Provider.getFeeData()
+  const price = baseFeePerGas ? baseFeePerGas.add(maxPriorityFeePerGas) : gasPrice
+  const l1Fee = price
+    .mul(gasLimit)
+    .mul(100 + margin)
+    .div(100)
+  if (amount !== undefined && l1Fee.gte(BigNumber.from(amount).abs())) {
+    const limit = BigNumber.from(amount).abs().toString()
+    throw Object.assign(new Error(`L1 fee ${l1Fee.toString()} is not below the withdrawal amount ${limit}`), {
+      l1Fee,
+    })
+  }
+  return l1Fee
+}
+
+module.exports = { estimateL1Fee, L1_WITHDRAWAL_GAS }
@@ -0,0 +1,71 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { prepareTransaction } = require('./index')
+
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+]
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+}
+
+/**
+ * Sign EIP-2612 permit of the pool token
+ *
+ * @param {Signer} signer token holder
+ * @param {string} tokenAddress permittable token address
+ * @param {string} spender address allowed to spend the tokens
+ * @param {BigNumber | number | string} value allowance
+ * @param {number} deadline unix timestamp after which the permit can't be used
+ * @returns {Promise<{deadline: number, v: number, r: string, s: string}>}
+ */
+async function signPermit({ signer, tokenAddress, spender, value, deadline }) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer)
+  const owner = await signer.getAddress()
+  const domain = {
+    name: await token.name(),
+    version: await token.version(),
+    chainId: await signer.getChainId(),
+    verifyingContract: tokenAddress,
+  }
+  const message = { owner, spender, value: BigNumber.from(value), nonce: await token.nonces(owner), deadline }
+  const { v, r, s } = ethers.utils.splitSignature(await signer._signTypedData(domain, PERMIT_TYPES, message))
+  return { deadline, v, r, s }
+}
+
+/**
+ * Deposit with a permit signed by the pool contract signer instead of a separate approve transaction
+ *
+ * @param {Contract} tornadoPool pool contract instance connected to the depositor
+ * @param {number} deadline permit deadline, an hour from the latest block by default
+ * @param rest `prepareTransaction` params
+ * @returns {Promise<Object>} transaction receipt
+ */
+async function transactWithPermit({ tornadoPool, deadline, gasLimit = 2e6, ...rest }) {
+  const { args, extData } = await prepareTransaction({ tornadoPool, ...rest })
+  if (BigNumber.from(extData.extAmount).lte(0)) {
+    throw new Error('Permit can be used only for deposits')
+  }
+  if (deadline === undefined) {
+    deadline = (await tornadoPool.provider.getBlock('latest')).timestamp + 3600
+  }
+  const { v, r, s } = await signPermit({
+    signer: tornadoPool.signer,
+    tokenAddress: await tornadoPool.token(),
+    spender: tornadoPool.address,
+    value: extData.extAmount,
+    deadline,
+  })
+  const tx = await tornadoPool.transactWithPermit(args, extData, deadline, v, r, s, { gasLimit })
+  return await tx.wait()
+}
+
+module.exports = { signPermit, transactWithPermit }
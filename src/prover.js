@@ -1,19 +1,49 @@
-const { wtns, groth16 } = require('snarkjs')
+const { wtns, groth16, zKey } = require('snarkjs')
 const { utils } = require('ffjavascript')
 
 const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const tmp = require('tmp-promise')
 const util = require('util')
+const { Worker } = require('worker_threads')
 const exec = util.promisify(require('child_process').exec)
+const execFile = util.promisify(require('child_process').execFile)
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
 
 const { toFixedHex } = require('./utils')
+const { diagnoseInput } = require('./diagnostics')
 
-async function prove(input, keyBasePath) {
-  const { proof } = await groth16.fullProve(
-    utils.stringifyBigInts(input),
-    `${keyBasePath}.wasm`,
-    `${keyBasePath}.zkey`,
-  )
+const verificationKeys = {}
+
+async function getVerificationKey(keyBasePath) {
+  if (!verificationKeys[keyBasePath]) {
+    verificationKeys[keyBasePath] = await zKey.exportVerificationKey(`${keyBasePath}.zkey`)
+  }
+  return verificationKeys[keyBasePath]
+}
+
+/**
+ * Replace witness generation error with the list of violated circuit constraints, if any were found
+ */
+function explainWitnessError(e, input) {
+  const errors = diagnoseInput(input)
+  if (errors.length === 0) {
+    return e
+  }
+  return Object.assign(new Error(`Invalid circuit input: ${errors.join('; ')}`), { errors, cause: e })
+}
+
+/** Check proof against the circuit verification key before it is sent to the pool */
+async function verifyProof(proof, publicSignals, keyBasePath) {
+  if (!(await groth16.verify(await getVerificationKey(keyBasePath), publicSignals, proof))) {
+    throw new Error('Generated proof is not valid for the circuit verification key')
+  }
+}
+
+/** Pack snarkjs proof into the bytes format expected by `TornadoPool.verifyProof` */
+function packProof(proof) {
   return (
     '0x' +
     toFixedHex(proof.pi_a[0]).slice(2) +
@@ -27,6 +57,195 @@ async function prove(input, keyBasePath) {
   )
 }
 
+/** Convert BigNumbers in circuit input to decimal strings, so it can be passed to another thread or process */
+function serializeInput(input) {
+  if (Array.isArray(input)) {
+    return input.map(serializeInput)
+  }
+  if (BigNumber.isBigNumber(input) || typeof input === 'bigint') {
+    return input.toString()
+  }
+  if (input !== null && typeof input === 'object') {
+    return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, serializeInput(value)]))
+  }
+  return input
+}
+
+/**
+ * Prover backends share the same interface: `prove(input, keyBasePath)` returns the packed proof, where
+ * `keyBasePath` is the path to circuit files without extension, e.g. `./artifacts/circuits/transaction2`
+ */
+class SnarkjsProver {
+  /**
+   * In-process snarkjs prover
+   *
+   * @param {boolean} cacheKeys keep `.wasm` and `.zkey` files in memory after the first proof, the keys of a
+   * production circuit take hundreds of megabytes
+   */
+  constructor({ cacheKeys = false } = {}) {
+    this.cacheKeys = cacheKeys
+    this.keys = {}
+  }
+
+  async prove(input, keyBasePath) {
+    const { wasm, zkey } = this._getKeys(keyBasePath)
+    const { proof, publicSignals } = await groth16
+      .fullProve(utils.stringifyBigInts(input), wasm, zkey)
+      .catch((e) => {
+        throw explainWitnessError(e, input)
+      })
+    await verifyProof(proof, publicSignals, keyBasePath)
+    return packProof(proof)
+  }
+
+  _getKeys(keyBasePath) {
+    if (!this.cacheKeys) {
+      return { wasm: `${keyBasePath}.wasm`, zkey: `${keyBasePath}.zkey` }
+    }
+    if (!this.keys[keyBasePath]) {
+      this.keys[keyBasePath] = {
+        wasm: { type: 'mem', data: fs.readFileSync(`${keyBasePath}.wasm`) },
+        zkey: { type: 'mem', data: fs.readFileSync(`${keyBasePath}.zkey`) },
+      }
+    }
+    return this.keys[keyBasePath]
+  }
+
+  /** Release cached `.wasm` and `.zkey` files, they are read again on the next proof */
+  clearKeys() {
+    this.keys = {}
+  }
+}
+
+class WorkerProver {
+  /**
+   * Pool of worker threads with snarkjs provers. Every worker keeps the keys loaded between proofs
+   *
+   * @param {number} size maximum number of workers
+   */
+  constructor({ size = os.cpus().length } = {}) {
+    this.size = size
+    this.workers = []
+    this.idle = []
+    this.queue = []
+  }
+
+  prove(input, keyBasePath) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ input: serializeInput(input), keyBasePath, resolve, reject })
+      this._next()
+    })
+  }
+
+  /** Stop all workers, pending proofs are rejected */
+  terminate() {
+    const workers = this.workers
+    this.workers = []
+    this.idle = []
+    for (const worker of workers) {
+      worker.terminate()
+    }
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('Prover is terminated'))
+    }
+  }
+
+  _next() {
+    if (this.queue.length === 0) {
+      return
+    }
+    const worker = this.idle.pop() || (this.workers.length < this.size ? this._spawn() : null)
+    if (!worker) {
+      return
+    }
+    worker.job = this.queue.shift()
+    // only busy workers keep the process alive
+    worker.ref()
+    worker.postMessage({ input: worker.job.input, keyBasePath: worker.job.keyBasePath })
+  }
+
+  _spawn() {
+    // web-worker, which ffjavascript uses for its own threads, treats a thread without `workerData.mod` as the
+    // main thread since 1.3.0
+    const worker = new Worker(path.join(__dirname, 'proverWorker.js'), { workerData: {} })
+    worker.on('message', ({ proof, error }) => {
+      const job = worker.job
+      worker.job = null
+      worker.unref()
+      this.idle.push(worker)
+      if (error) {
+        job.reject(Object.assign(new Error(error.message), error))
+      } else {
+        job.resolve(proof)
+      }
+      this._next()
+    })
+    worker.on('error', (e) => {
+      if (worker.job) {
+        worker.job.reject(e)
+        worker.job = null
+      }
+    })
+    worker.on('exit', (code) => {
+      this.workers = this.workers.filter((x) => x !== worker)
+      this.idle = this.idle.filter((x) => x !== worker)
+      if (worker.job) {
+        worker.job.reject(new Error(`Prover worker exited with code ${code}`))
+      }
+      this._next()
+    })
+    this.workers.push(worker)
+    return worker
+  }
+}
+
+class NativeProver {
+  /**
+   * External prover binary, e.g. rapidsnark. Witness is generated with snarkjs and passed to the binary. The
+   * binary is run without a shell, so paths are passed as is
+   *
+   * @param {string} command path or name of the binary
+   * @param {string[]} args arguments with `{zkey}`, `{witness}`, `{proof}` and `{public}` placeholders for the
+   * proving key, witness file and output files in snarkjs JSON format, rapidsnark order by default
+   */
+  constructor({ command, args = ['{zkey}', '{witness}', '{proof}', '{public}'] }) {
+    this.command = command
+    this.args = args
+  }
+
+  async prove(input, keyBasePath) {
+    const { path: dir, cleanup } = await tmp.dir({ unsafeCleanup: true })
+    try {
+      const files = {
+        zkey: `${keyBasePath}.zkey`,
+        witness: `${dir}/witness.wtns`,
+        proof: `${dir}/proof.json`,
+        public: `${dir}/public.json`,
+      }
+      await wtns.calculate(utils.stringifyBigInts(input), `${keyBasePath}.wasm`, files.witness).catch((e) => {
+        throw explainWitnessError(e, input)
+      })
+      const args = this.args.map((arg) =>
+        arg.replace(/{(zkey|witness|proof|public)}/g, (_, name) => files[name]),
+      )
+      await execFile(this.command, args)
+
+      const proof = JSON.parse(fs.readFileSync(files.proof).toString())
+      const publicSignals = JSON.parse(fs.readFileSync(files.public).toString())
+      await verifyProof(proof, publicSignals, keyBasePath)
+      return packProof(proof)
+    } finally {
+      await cleanup()
+    }
+  }
+}
+
+const defaultProver = new SnarkjsProver()
+
+async function prove(input, keyBasePath) {
+  return await defaultProver.prove(input, keyBasePath)
+}
+
 function proveZkutil(input, keyBasePath) {
   input = utils.stringifyBigInts(input)
   // console.log('input', input)
@@ -35,21 +254,24 @@ function proveZkutil(input, keyBasePath) {
     let out
 
     try {
-      await wtns.debug(
-        utils.unstringifyBigInts(input),
-        `${keyBasePath}.wasm`,
-        `${dir}/witness.wtns`,
-        `${keyBasePath}.sym`,
-        {},
-        console,
-      )
+      await wtns
+        .debug(
+          utils.unstringifyBigInts(input),
+          `${keyBasePath}.wasm`,
+          `${dir}/witness.wtns`,
+          `${keyBasePath}.sym`,
+          {},
+          console,
+        )
+        .catch((e) => {
+          throw explainWitnessError(e, input)
+        })
       const witness = utils.stringifyBigInts(await wtns.exportJson(`${dir}/witness.wtns`))
       fs.writeFileSync(`${dir}/witness.json`, JSON.stringify(witness, null, 2))
 
       out = await exec(
         `zkutil prove -c ${keyBasePath}.r1cs -p ${keyBasePath}.params -w ${dir}/witness.json -r ${dir}/proof.json -o ${dir}/public.json`,
       )
-      // todo catch inconsistent input during witness generation
       await exec(`zkutil verify -p ${keyBasePath}.params -r ${dir}/proof.json -i ${dir}/public.json`)
     } catch (e) {
       console.log(out, e)
@@ -59,4 +281,13 @@ function proveZkutil(input, keyBasePath) {
   })
 }
 
-module.exports = { prove, proveZkutil }
+module.exports = {
+  prove,
+  proveZkutil,
+  packProof,
+  serializeInput,
+  SnarkjsProver,
+  WorkerProver,
+  NativeProver,
+  defaultProver,
+}
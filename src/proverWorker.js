@@ -0,0 +1,13 @@
+// Worker thread of WorkerProver
+const { parentPort } = require('worker_threads')
+const { SnarkjsProver } = require('./prover')
+
+const prover = new SnarkjsProver({ cacheKeys: true })
+
+parentPort.on('message', async ({ input, keyBasePath }) => {
+  try {
+    parentPort.postMessage({ proof: await prover.prove(input, keyBasePath) })
+  } catch (e) {
+    parentPort.postMessage({ error: { message: e.message, errors: e.errors } })
+  }
+})
@@ -0,0 +1,106 @@
+const { ethers } = require('ethers')
+const { Keypair } = require('./keypair')
+
+const REGISTRATION_TYPES = {
+  Registration: [
+    { name: 'owner', type: 'address' },
+    { name: 'publicKey', type: 'bytes' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+}
+
+async function getDomain(tornadoPool) {
+  return {
+    name: 'TornadoPool',
+    version: '1',
+    chainId: (await tornadoPool.provider.getNetwork()).chainId,
+    verifyingContract: tornadoPool.address,
+  }
+}
+
+/**
+ * Sign registration of a shielded key with EIP-712, so that another account can submit it with
+ * `TornadoPool.registerWithSignature` and pay for gas
+ *
+ * @param {Signer} signer owner of the registered account
+ * @param {Contract} tornadoPool pool contract instance
+ * @param {Keypair} keypair shielded keypair to register
+ * @param {number} deadline unix timestamp after which the registration can't be submitted, an hour from the
+ * latest block by default
+ * @returns {Promise<{owner: string, publicKey: string, nonce: string, deadline: number, signature: string}>}
+ */
+async function signRegistration({ signer, tornadoPool, keypair, deadline }) {
+  const owner = await signer.getAddress()
+  if (deadline === undefined) {
+    deadline = (await tornadoPool.provider.getBlock('latest')).timestamp + 3600
+  }
+  const registration = {
+    owner,
+    publicKey: keypair.address(),
+    nonce: (await tornadoPool.registrationNonces(owner)).toString(),
+    deadline,
+  }
+  const signature = await signer._signTypedData(
+    await getDomain(tornadoPool),
+    REGISTRATION_TYPES,
+    registration,
+  )
+  return { ...registration, signature }
+}
+
+/**
+ * Check a signed registration before submitting it
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param registration result of {@link signRegistration}
+ * @returns {Promise<string[]>} human readable verification errors, empty for a valid registration
+ */
+async function verifyRegistration({ tornadoPool, registration }) {
+  const { owner, publicKey, nonce, deadline, signature } = registration
+  const errors = []
+  try {
+    Keypair.fromString(publicKey)
+  } catch (e) {
+    errors.push('Public key is not a valid shielded address')
+  }
+  let signer
+  try {
+    const message = { owner, publicKey, nonce, deadline }
+    signer = ethers.utils.verifyTypedData(
+      await getDomain(tornadoPool),
+      REGISTRATION_TYPES,
+      message,
+      signature,
+    )
+  } catch (e) {
+    return [...errors, 'Invalid signature']
+  }
+  if (signer.toLowerCase() !== owner.toLowerCase()) {
+    errors.push(`Registration is signed by ${signer}, not by ${owner}`)
+  }
+  const currentNonce = await tornadoPool.registrationNonces(owner)
+  if (!currentNonce.eq(nonce)) {
+    errors.push(`Registration nonce ${nonce} does not match the current nonce ${currentNonce.toString()}`)
+  }
+  if ((await tornadoPool.provider.getBlock('latest')).timestamp > deadline) {
+    errors.push('Registration has expired')
+  }
+  return errors
+}
+
+/**
+ * Submit a signed registration, gas is paid by the pool contract signer
+ *
+ * @param {Contract} tornadoPool pool contract instance connected to the sponsor
+ * @param registration result of {@link signRegistration}
+ * @returns {Promise<Object>} transaction receipt
+ */
+async function registerWithSignature({ tornadoPool, registration, gasLimit = 2e5 }) {
+  const { owner, publicKey, deadline, signature } = registration
+  const { v, r, s } = ethers.utils.splitSignature(signature)
+  const tx = await tornadoPool.registerWithSignature({ owner, publicKey }, deadline, v, r, s, { gasLimit })
+  return await tx.wait()
+}
+
+module.exports = { signRegistration, verifyRegistration, registerWithSignature }
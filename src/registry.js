@@ -0,0 +1,105 @@
+const { Keypair } = require('./keypair')
+const EventIndexer = require('./indexer')
+
+class KeyRegistry {
+  /**
+   * Registry of shielded keys published with `PublicKey` events by the pool and L1Unwrapper. The contracts
+   * live on different chains, so registrations are ordered by block timestamps
+   *
+   * @param {Contract} tornadoPool pool contract instance
+   * @param {Contract} l1Unwrapper optional L1Unwrapper contract instance
+   * @param {number} fromBlock pool deployment block
+   * @param {number} l1FromBlock L1Unwrapper deployment block
+   * @param {number} confirmations number of blocks on top of a block before its registrations are used
+   */
+  constructor({ tornadoPool, l1Unwrapper = null, fromBlock = 0, l1FromBlock = 0, confirmations = 0 }) {
+    this.indexers = [
+      new EventIndexer({ contract: tornadoPool, eventNames: ['PublicKey'], fromBlock, confirmations }),
+    ]
+    if (l1Unwrapper) {
+      this.indexers.push(
+        new EventIndexer({
+          contract: l1Unwrapper,
+          eventNames: ['PublicKey'],
+          fromBlock: l1FromBlock,
+          confirmations,
+        }),
+      )
+    }
+    this.timestamps = new Map()
+  }
+
+  /** Fetch new registrations from all contracts */
+  async sync() {
+    for (const indexer of this.indexers) {
+      const { added } = await indexer.sync()
+      for (const event of added) {
+        if (!this.timestamps.has(event.blockHash)) {
+          this.timestamps.set(event.blockHash, (await event.getBlock()).timestamp)
+        }
+      }
+    }
+  }
+
+  /**
+   * Latest valid registration of an address among synced events
+   *
+   * @param {string} owner Ethereum address
+   * @returns {{owner: string, keypair: Keypair, key: string, reregistered: boolean, keys: string[]}|null}
+   * `reregistered` is set if the address has published different keys, `keys` lists them from the oldest one
+   */
+  getRecord(owner) {
+    const events = this.indexers
+      .flatMap((indexer) => indexer.getEvents('PublicKey'))
+      .filter((e) => e.args.owner.toLowerCase() === owner.toLowerCase())
+      .map((e) => ({ event: e, timestamp: this.timestamps.get(e.blockHash) }))
+      .sort(
+        (a, b) =>
+          a.timestamp - b.timestamp ||
+          a.event.blockNumber - b.event.blockNumber ||
+          a.event.logIndex - b.event.logIndex,
+      )
+
+    const keys = []
+    for (const { event } of events) {
+      // contracts don't validate registered bytes, malformed keys can't receive funds
+      try {
+        Keypair.fromString(event.args.key)
+      } catch (e) {
+        continue
+      }
+      const key = event.args.key.toLowerCase()
+      if (keys[keys.length - 1] !== key) {
+        keys.push(key)
+      }
+    }
+    if (keys.length === 0) {
+      return null
+    }
+    const key = keys[keys.length - 1]
+    return {
+      owner,
+      keypair: Keypair.fromString(key),
+      key,
+      reregistered: new Set(keys).size > 1,
+      keys,
+    }
+  }
+
+  /**
+   * Sync and return the latest registration of an address
+   *
+   * @param {string} owner Ethereum address
+   * @returns {Promise<{owner: string, keypair: Keypair, key: string, reregistered: boolean, keys: string[]}>}
+   */
+  async resolve(owner) {
+    await this.sync()
+    const record = this.getRecord(owner)
+    if (!record) {
+      throw new Error(`Address ${owner} has no registered shielded key`)
+    }
+    return record
+  }
+}
+
+module.exports = KeyRegistry
@@ -0,0 +1,279 @@
+const http = require('http')
+const crypto = require('crypto')
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex } = require('./utils')
+const { simulateTransaction } = require('./simulate')
+const { verifyRegistration } = require('./registration')
+
+class Relayer {
+  /**
+   * Relayer that pays gas for user transactions and takes `extData.fee` in pool tokens in return
+   *
+   * @param {Contract} tornadoPool pool contract instance
+   * @param {Signer} signer account that sends transactions and receives fees
+   * @param {number} gasLimit gas limit of relayed transactions
+   * @param {BigNumber} nativePrice price of 1 native coin in pool token wei, used to convert gas costs into fee
+   * @param {number} feeMargin percent added on top of the gas cost
+   * @param {boolean} sponsorRegistrations accept signed registrations. They carry no fee, so the relayer pays
+   * for gas of every valid registration, and fresh accounts can sign as many as they like
+   * @param {number} registrationLimit registrations accepted from a single client per hour
+   * @param {number} jobTtl ms to keep finished jobs available with {@link getJob}
+   */
+  constructor({
+    tornadoPool,
+    signer,
+    gasLimit = 2e6,
+    nativePrice = ethers.utils.parseEther('1'),
+    feeMargin = 10,
+    sponsorRegistrations = false,
+    registrationLimit = 5,
+    jobTtl = 3600 * 1000,
+  }) {
+    this.tornadoPool = tornadoPool.connect(signer)
+    this.signer = signer
+    this.gasLimit = gasLimit
+    this.nativePrice = BigNumber.from(nativePrice)
+    this.feeMargin = feeMargin
+    this.sponsorRegistrations = sponsorRegistrations
+    this.registrationLimit = registrationLimit
+    this.registrations = new Map()
+    this.jobTtl = jobTtl
+    this.jobs = new Map()
+    this.pendingNullifiers = new Set()
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Minimal fee the relayer currently accepts
+   *
+   * @returns {Promise<BigNumber>}
+   */
+  async quoteFee() {
+    const gasPrice = await this.signer.getGasPrice()
+    return gasPrice
+      .mul(this.gasLimit)
+      .mul(this.nativePrice)
+      .div(ethers.utils.parseEther('1'))
+      .mul(100 + this.feeMargin)
+      .div(100)
+  }
+
+  async getStatus() {
+    const { chainId } = await this.signer.provider.getNetwork()
+    return {
+      relayer: await this.signer.getAddress(),
+      pool: this.tornadoPool.address,
+      chainId,
+      fee: (await this.quoteFee()).toString(),
+      gasLimit: this.gasLimit,
+    }
+  }
+
+  /**
+   * Check a transaction and queue it for sending
+   *
+   * @param args proof args, e.g. from `prepareTransaction`
+   * @param extData external data, `relayer` should be the relayer address
+   * @returns {Promise<string>} job id
+   */
+  async submit({ args, extData }) {
+    if (!args || !extData || !Array.isArray(args.inputNullifiers)) {
+      throw relayerError('INVALID_REQUEST', 'Request should contain args and extData')
+    }
+    // the pool takes deposits from msg.sender, so a relayed deposit would be paid with the relayer tokens
+    if (BigNumber.from(extData.extAmount).gt(0)) {
+      throw relayerError('INVALID_REQUEST', 'Deposits can not be relayed')
+    }
+    const relayer = await this.signer.getAddress()
+    if (BigNumber.from(extData.relayer).toString() !== BigNumber.from(relayer).toString()) {
+      throw relayerError('INVALID_RELAYER', `Relayer address should be ${relayer}`)
+    }
+    const quote = await this.quoteFee()
+    if (BigNumber.from(extData.fee).lt(quote)) {
+      throw Object.assign(relayerError('FEE_TOO_LOW', `Fee should be at least ${quote.toString()}`), {
+        fee: quote.toString(),
+      })
+    }
+    const nullifiers = args.inputNullifiers.map((x) => toFixedHex(x))
+    if (nullifiers.some((x) => this.pendingNullifiers.has(x))) {
+      throw relayerError('INPUT_PENDING', 'Input is already spent by a pending job')
+    }
+    // inputs are reserved before the simulation, so concurrent requests with the same inputs are rejected
+    nullifiers.forEach((x) => this.pendingNullifiers.add(x))
+    const release = () => nullifiers.forEach((x) => this.pendingNullifiers.delete(x))
+
+    try {
+      const errors = await simulateTransaction({ tornadoPool: this.tornadoPool, args, extData })
+      if (errors.length > 0) {
+        throw Object.assign(relayerError('SIMULATION_FAILED', errors.map((e) => e.message).join(', ')), {
+          errors,
+        })
+      }
+      // the proof is checked only by the contract
+      try {
+        await this.tornadoPool.estimateGas.transact(args, extData)
+      } catch (e) {
+        throw relayerError('SIMULATION_FAILED', `Transaction reverts: ${e.reason || e.message}`)
+      }
+    } catch (e) {
+      release()
+      throw e
+    }
+
+    return this._enqueue(() => this.tornadoPool.transact(args, extData, { gasLimit: this.gasLimit }), release)
+  }
+
+  /**
+   * Check a registration signed with `signRegistration` and queue it for sending. The relayer pays for gas, so
+   * registrations are accepted only if `sponsorRegistrations` is set and up to `registrationLimit` per client
+   *
+   * @param registration signed registration
+   * @param {string} client client id for the rate limit, e.g. IP address
+   * @returns {Promise<string>} job id
+   */
+  async submitRegistration(registration, client = '') {
+    if (!this.sponsorRegistrations) {
+      throw Object.assign(relayerError('REGISTRATION_DISABLED', 'Relayer does not sponsor registrations'), {
+        status: 403,
+      })
+    }
+    if (!registration || !registration.owner || !registration.signature) {
+      throw relayerError('INVALID_REQUEST', 'Request should contain a signed registration')
+    }
+    const errors = await verifyRegistration({ tornadoPool: this.tornadoPool, registration })
+    if (errors.length > 0) {
+      throw Object.assign(relayerError('INVALID_REGISTRATION', errors.join(', ')), { errors })
+    }
+    const hourAgo = Date.now() - 3600 * 1000
+    for (const [key, times] of this.registrations) {
+      if (times.every((time) => time <= hourAgo)) {
+        this.registrations.delete(key)
+      }
+    }
+    const recent = (this.registrations.get(client) || []).filter((time) => time > hourAgo)
+    if (recent.length >= this.registrationLimit) {
+      throw Object.assign(relayerError('RATE_LIMITED', 'Too many registrations, try again later'), {
+        status: 429,
+      })
+    }
+    this.registrations.set(client, [...recent, Date.now()])
+
+    const { v, r, s } = ethers.utils.splitSignature(registration.signature)
+    const account = { owner: registration.owner, publicKey: registration.publicKey }
+    return this._enqueue(() =>
+      this.tornadoPool.registerWithSignature(account, registration.deadline, v, r, s),
+    )
+  }
+
+  /**
+   * @param {string} id job id returned by {@link submit}
+   * @returns {{id: string, status: string, txHash: string|null, error: string|null}|undefined} `status` is one
+   * of `queued`, `sent`, `mined` and `failed`
+   */
+  getJob(id) {
+    return this.jobs.get(id)
+  }
+
+  _enqueue(sendTransaction, onDone = () => {}) {
+    const job = { id: crypto.randomBytes(16).toString('hex'), status: 'queued', txHash: null, error: null }
+    this.jobs.set(job.id, job)
+    // transactions are sent one by one to keep nonces in order
+    this.queue = this.queue.then(() =>
+      this._send(job, sendTransaction).finally(() => {
+        onDone()
+        setTimeout(() => this.jobs.delete(job.id), this.jobTtl).unref()
+      }),
+    )
+    return job.id
+  }
+
+  async _send(job, sendTransaction) {
+    try {
+      const tx = await sendTransaction()
+      Object.assign(job, { status: 'sent', txHash: tx.hash })
+      await tx.wait()
+      job.status = 'mined'
+    } catch (e) {
+      Object.assign(job, { status: 'failed', error: e.reason || e.message })
+    }
+  }
+}
+
+/** Error caused by the request, it is returned to the client with 400 status */
+function relayerError(code, message) {
+  return Object.assign(new Error(message), { code, status: 400 })
+}
+
+const MAX_BODY_SIZE = 1024 * 1024
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_SIZE) {
+        req.destroy()
+        return reject(relayerError('INVALID_REQUEST', 'Request body is too large'))
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+}
+
+async function readJSON(req) {
+  const text = await readBody(req)
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    throw relayerError('INVALID_REQUEST', 'Request body should be JSON')
+  }
+}
+
+/**
+ * HTTP API of a relayer:
+ * - `GET /status` relayer address, pool and current fee quote
+ * - `POST /transaction` with `{args, extData}` body, responds with `{id}` of the queued job
+ * - `POST /registration` with a signed registration body, responds with `{id}` of the queued job. Rate limited
+ *   by client IP address, disabled unless the relayer sponsors registrations
+ * - `GET /jobs/:id` job status
+ *
+ * Errors are returned as `{error, code}` with 4xx or 5xx status
+ *
+ * @param {Relayer} relayer
+ * @returns {http.Server}
+ */
+function createRelayerServer(relayer) {
+  return http.createServer(async (req, res) => {
+    const respond = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    }
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost')
+      const jobMatch = pathname.match(/^\/jobs\/([0-9a-f]+)$/)
+      if (req.method === 'GET' && pathname === '/status') {
+        respond(200, await relayer.getStatus())
+      } else if (req.method === 'POST' && pathname === '/transaction') {
+        respond(202, { id: await relayer.submit((await readJSON(req)) || {}) })
+      } else if (req.method === 'POST' && pathname === '/registration') {
+        respond(202, { id: await relayer.submitRegistration(await readJSON(req), req.socket.remoteAddress) })
+      } else if (req.method === 'GET' && jobMatch && relayer.getJob(jobMatch[1])) {
+        respond(200, relayer.getJob(jobMatch[1]))
+      } else {
+        respond(404, { error: 'Not found', code: 'NOT_FOUND' })
+      }
+    } catch (e) {
+      if (e.status) {
+        respond(e.status, { error: e.message, code: e.code, fee: e.fee, errors: e.errors })
+      } else {
+        respond(500, { error: e.message, code: 'INTERNAL_ERROR' })
+      }
+    }
+  })
+}
+
+module.exports = { Relayer, createRelayerServer }
@@ -0,0 +1,108 @@
+const http = require('http')
+const https = require('https')
+
+class RelayerClient {
+  /**
+   * Client of the relayer HTTP API, see `createRelayerServer`
+   *
+   * @param {string} url relayer base url, e.g. `https://relayer.example.com`
+   */
+  constructor({ url }) {
+    this.url = url.replace(/\/$/, '')
+  }
+
+  /**
+   * Relayer address, pool and current fee quote
+   *
+   * @returns {Promise<{relayer: string, pool: string, chainId: number, fee: string, gasLimit: number}>}
+   */
+  async getStatus() {
+    return await this._request('/status')
+  }
+
+  /**
+   * Submit a transaction built for this relayer
+   *
+   * @returns {Promise<string>} job id
+   */
+  async submit({ args, extData }) {
+    const { id } = await this._request('/transaction', { method: 'POST', body: { args, extData } })
+    return id
+  }
+
+  /**
+   * Submit a registration signed with `signRegistration`, the relayer pays for its gas
+   *
+   * @returns {Promise<string>} job id
+   */
+  async submitRegistration(registration) {
+    const { id } = await this._request('/registration', { method: 'POST', body: registration })
+    return id
+  }
+
+  /**
+   * @param {string} id job id
+   * @returns {Promise<{id: string, status: string, txHash: string|null, error: string|null}>}
+   */
+  async getJob(id) {
+    return await this._request(`/jobs/${id}`)
+  }
+
+  /**
+   * Poll job status until its transaction is mined
+   *
+   * @param {string} id job id
+   * @param {number} pollInterval delay between requests in ms
+   * @param {number} timeout ms to wait before giving up
+   * @returns {Promise<Object>} mined job
+   */
+  async waitForJob(id, { pollInterval = 1000, timeout = 300000 } = {}) {
+    const deadline = Date.now() + timeout
+    for (;;) {
+      const job = await this.getJob(id)
+      if (job.status === 'mined') {
+        return job
+      }
+      if (job.status === 'failed') {
+        throw Object.assign(new Error(`Relayer job ${id} failed: ${job.error}`), { job })
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Relayer job ${id} is still ${job.status} after ${timeout} ms`)
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollInterval))
+    }
+  }
+
+  _request(path, { method = 'GET', body } = {}) {
+    const url = this.url + path
+    const transport = url.startsWith('https:') ? https : http
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        url,
+        { method, headers: { 'Content-Type': 'application/json' } },
+        (res) => {
+          const chunks = []
+          res.on('data', (chunk) => chunks.push(chunk))
+          res.on('end', () => {
+            let data
+            try {
+              data = JSON.parse(Buffer.concat(chunks).toString())
+            } catch (e) {
+              return reject(new Error(`Relayer responded with status ${res.statusCode} and invalid JSON`))
+            }
+            if (res.statusCode >= 400) {
+              // keep error code and details, e.g. the current fee for FEE_TOO_LOW
+              const { error, ...details } = data
+              return reject(Object.assign(new Error(`Relayer error: ${error}`), details))
+            }
+            resolve(data)
+          })
+        },
+      )
+      req.on('error', reject)
+      req.end(body && JSON.stringify(body))
+    })
+  }
+}
+
+module.exports = RelayerClient
@@ -0,0 +1,60 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { FIELD_SIZE, toFixedHex, getExtDataHash } = require('./utils')
+
+const MAX_EXT_AMOUNT = BigNumber.from(2).pow(248)
+const MAX_FEE = BigNumber.from(2).pow(248)
+
+/** Same as `TornadoPool.calculatePublicAmount` but without range checks */
+function calculatePublicAmount(extAmount, fee) {
+  return BigNumber.from(extAmount).sub(fee).add(FIELD_SIZE).mod(FIELD_SIZE)
+}
+
+/**
+ * Check a transaction against the conditions of `TornadoPool.transact` without sending it. The proof itself
+ * is not checked, so it can be done before proving
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param args proof args as sent to the pool, `proof` field is not required
+ * @param extData external data as sent to the pool
+ * @returns {Promise<Array<{code: string, message: string}>>} failed checks, messages match pool revert reasons
+ */
+async function simulateTransaction({ tornadoPool, args, extData }) {
+  const errors = []
+  const fail = (code, message) => errors.push({ code, message })
+  const extAmount = BigNumber.from(extData.extAmount)
+  const fee = BigNumber.from(extData.fee)
+
+  if (extAmount.gt(0) && extAmount.gt(await tornadoPool.maximumDepositAmount())) {
+    fail('DEPOSIT_LIMIT', 'amount is larger than maximumDepositAmount')
+  }
+  // pool keeps only the last ROOT_HISTORY_SIZE roots
+  if (!(await tornadoPool.isKnownRoot(toFixedHex(args.root)))) {
+    fail('UNKNOWN_ROOT', 'Invalid merkle root')
+  }
+  for (const nullifier of args.inputNullifiers) {
+    if (await tornadoPool.isSpent(toFixedHex(nullifier))) {
+      fail('INPUT_SPENT', 'Input is already spent')
+      break
+    }
+  }
+  if (!BigNumber.from(args.extDataHash).eq(getExtDataHash(extData))) {
+    fail('EXT_DATA_HASH', 'Incorrect external data hash')
+  }
+  if (fee.gte(MAX_FEE)) {
+    fail('INVALID_FEE', 'Invalid fee')
+  } else if (extAmount.lte(MAX_EXT_AMOUNT.mul(-1)) || extAmount.gte(MAX_EXT_AMOUNT)) {
+    fail('INVALID_EXT_AMOUNT', 'Invalid ext amount')
+  } else if (!BigNumber.from(args.publicAmount).eq(calculatePublicAmount(extAmount, fee))) {
+    fail('PUBLIC_AMOUNT', 'Invalid public amount')
+  }
+  if (args.inputNullifiers.length !== 2 && args.inputNullifiers.length !== 16) {
+    fail('INPUT_COUNT', 'unsupported input count')
+  }
+  if (extAmount.lt(0) && BigNumber.from(extData.recipient).isZero()) {
+    fail('ZERO_RECIPIENT', "Can't withdraw to zero address")
+  }
+  return errors
+}
+
+module.exports = { simulateTransaction, calculatePublicAmount, MAX_EXT_AMOUNT, MAX_FEE }
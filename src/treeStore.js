@@ -0,0 +1,107 @@
+const fs = require('fs')
+const MerkleTree = require('fixed-merkle-tree')
+const { toFixedHex, poseidonHash2 } = require('./utils')
+
+class TreeStore {
+  /**
+   * Merkle tree of pool commitments that is synced incrementally and optionally persisted to disk
+   *
+   * @param {Contract} tornadoPool pool contract instance
+   * @param {string|null} path JSON file to save leaves and the last synced block to, in memory only if null
+   * @param {number} fromBlock block to start syncing from, e.g. pool deployment block
+   * @param {number} chunkSize maximum block range of a single events query
+   */
+  constructor({ tornadoPool, path = null, fromBlock = 0, chunkSize = 10000 }) {
+    this.tornadoPool = tornadoPool
+    this.path = path
+    this.chunkSize = chunkSize
+    this.fromBlock = fromBlock
+    this.lastBlock = fromBlock - 1
+    this.tree = null
+  }
+
+  /**
+   * Fetch commitments added since the last sync and check that the resulting root is known to the pool. If it
+   * is not, e.g. some leaves came from orphaned blocks after a chain reorganisation, the tree is rebuilt from
+   * `fromBlock`
+   *
+   * @returns {Promise<MerkleTree>}
+   */
+  async sync() {
+    if (!this.tree) {
+      await this._init()
+    }
+
+    let error = await this._update()
+    if (error) {
+      this.tree = new MerkleTree(this.tree.levels, [], { hashFunction: poseidonHash2 })
+      this.lastBlock = this.fromBlock - 1
+      error = await this._update()
+    }
+    if (error) {
+      throw new Error(this.path ? `${error}, delete ${this.path} to resync` : error)
+    }
+    this._save()
+    return this.tree
+  }
+
+  /** @returns {Promise<string|null>} the reason the local tree does not match the pool */
+  async _update() {
+    const filter = this.tornadoPool.filters.NewCommitment()
+    const latestBlock = await this.tornadoPool.provider.getBlockNumber()
+    let nextIndex = this.tree.elements().length
+    for (let fromBlock = this.lastBlock + 1; fromBlock <= latestBlock; fromBlock += this.chunkSize) {
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, latestBlock)
+      const events = await this.tornadoPool.queryFilter(filter, fromBlock, toBlock)
+      for (const event of events.sort((a, b) => a.args.index - b.args.index)) {
+        const index = event.args.index.toNumber()
+        if (index < nextIndex) {
+          continue
+        }
+        if (index > nextIndex) {
+          return `Missing commitments before index ${index}`
+        }
+        this.tree.insert(toFixedHex(event.args.commitment))
+        nextIndex++
+      }
+      this.lastBlock = toBlock
+    }
+
+    const root = toFixedHex(this.tree.root())
+    if (!(await this.tornadoPool.isKnownRoot(root))) {
+      return `Local merkle root ${root} is not known to the pool`
+    }
+    return null
+  }
+
+  async _init() {
+    const levels = await this.tornadoPool.levels()
+    let leaves = []
+    if (this.path && fs.existsSync(this.path)) {
+      const data = JSON.parse(fs.readFileSync(this.path).toString())
+      if (data.address.toLowerCase() !== this.tornadoPool.address.toLowerCase() || data.levels !== levels) {
+        throw new Error(`Tree file ${this.path} belongs to another pool`)
+      }
+      leaves = data.leaves
+      this.lastBlock = data.lastBlock
+      this.fromBlock = data.fromBlock !== undefined ? data.fromBlock : this.fromBlock
+    }
+    this.tree = new MerkleTree(levels, leaves, { hashFunction: poseidonHash2 })
+  }
+
+  _save() {
+    if (!this.path) {
+      return
+    }
+    const data = {
+      address: this.tornadoPool.address,
+      levels: this.tree.levels,
+      fromBlock: this.fromBlock,
+      lastBlock: this.lastBlock,
+      leaves: this.tree.elements(),
+    }
+    fs.writeFileSync(this.path, JSON.stringify(data))
+  }
+}
+
+module.exports = TreeStore
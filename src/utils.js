@@ -1,6 +1,5 @@
-/* global network */
 const crypto = require('crypto')
-const { ethers } = require('hardhat')
+const { ethers } = require('ethers')
 const BigNumber = ethers.BigNumber
 const { poseidon } = require('circomlib')
 
@@ -11,6 +10,11 @@ const FIELD_SIZE = BigNumber.from(
   '21888242871839275222246405745257275088548364400416034343698204186575808495617',
 )
 
+const PROOF_TUPLE =
+  'tuple(bytes proof,bytes32 root,bytes32[] inputNullifiers,bytes32[2] outputCommitments,uint256 publicAmount,bytes32 extDataHash)'
+const EXT_DATA_TUPLE =
+  'tuple(address recipient,int256 extAmount,address relayer,uint256 fee,bytes encryptedOutput1,bytes encryptedOutput2,bool isL1Withdrawal,uint256 l1Fee)'
+
 /** Generate random number of specified byte length */
 const randomBN = (nbytes = 31) => BigNumber.from(crypto.randomBytes(nbytes))
 
@@ -27,9 +31,7 @@ function getExtDataHash({
   const abi = new ethers.utils.AbiCoder()
 
   const encodedData = abi.encode(
-    [
-      'tuple(address recipient,int256 extAmount,address relayer,uint256 fee,bytes encryptedOutput1,bytes encryptedOutput2,bool isL1Withdrawal,uint256 l1Fee)',
-    ],
+    [EXT_DATA_TUPLE],
     [
       {
         recipient: toFixedHex(recipient, 20),
@@ -47,6 +49,12 @@ function getExtDataHash({
   return BigNumber.from(hash).mod(FIELD_SIZE)
 }
 
+/** Encode transaction for `TornadoPool.onTokenBridged`, the format is `abi.encode(args, extData)` */
+function encodeDataForBridge({ proof, extData }) {
+  const abi = new ethers.utils.AbiCoder()
+  return abi.encode([PROOF_TUPLE, EXT_DATA_TUPLE], [proof, extData])
+}
+
 /** BigNumber to hex string of specified length */
 function toFixedHex(number, length = 32) {
   let result =
@@ -71,6 +79,27 @@ const toBuffer = (value, length) =>
     'hex',
   )
 
+/**
+ * Query contract events in block ranges of at most `chunkSize` blocks, public RPCs reject longer ranges
+ *
+ * @param {Contract} contract contract instance
+ * @param {EventFilter} filter events filter, e.g. `contract.filters.NewCommitment()`
+ * @param {number} fromBlock first block of the range
+ * @param {number} toBlock last block of the range, the latest block by default
+ * @param {number} chunkSize maximum block range of a single query
+ * @returns {Promise<Event[]>}
+ */
+async function queryEvents({ contract, filter, fromBlock = 0, toBlock, chunkSize = 10000 }) {
+  if (toBlock === undefined) {
+    toBlock = await contract.provider.getBlockNumber()
+  }
+  const events = []
+  for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+    events.push(...(await contract.queryFilter(filter, from, Math.min(from + chunkSize - 1, toBlock))))
+  }
+  return events
+}
+
 function shuffle(array) {
   let currentIndex = array.length
   let randomIndex
@@ -88,23 +117,17 @@ function shuffle(array) {
   return array
 }
 
-async function getSignerFromAddress(address) {
-  await network.provider.request({
-    method: 'hardhat_impersonateAccount',
-    params: [address],
-  })
-
-  return await ethers.provider.getSigner(address)
-}
-
 module.exports = {
   FIELD_SIZE,
+  PROOF_TUPLE,
+  EXT_DATA_TUPLE,
   randomBN,
   toFixedHex,
   toBuffer,
   poseidonHash,
   poseidonHash2,
   getExtDataHash,
+  encodeDataForBridge,
+  queryEvents,
   shuffle,
-  getSignerFromAddress,
 }
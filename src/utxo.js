@@ -1,8 +1,26 @@
-const { ethers } = require('hardhat')
+const { ethers } = require('ethers')
 const { BigNumber } = ethers
 const { randomBN, poseidonHash, toBuffer } = require('./utils')
 const { Keypair } = require('./keypair')
 
+// legacy note payload is `amount ‖ blinding`, 31 bytes each
+const LEGACY_NOTE_SIZE = 62
+// versioned note payload is `version ‖ amount ‖ blinding ‖ memo length ‖ memo padded to MAX_MEMO_SIZE`
+const NOTE_VERSION = 1
+const MAX_MEMO_SIZE = 64
+const NOTE_SIZE = 1 + LEGACY_NOTE_SIZE + 1 + MAX_MEMO_SIZE
+
+function toMemoBuffer(memo) {
+  if (memo === null || memo === undefined) {
+    return null
+  }
+  const buf = typeof memo === 'string' ? Buffer.from(memo, 'utf8') : Buffer.from(memo)
+  if (buf.length > MAX_MEMO_SIZE) {
+    throw new Error(`Memo is ${buf.length} bytes, it should be at most ${MAX_MEMO_SIZE} bytes`)
+  }
+  return buf
+}
+
 class Utxo {
   /** Initialize a new UTXO - unspent transaction output or input. Note, a full TX consists of 2/16 inputs and 2 outputs
    *
@@ -10,12 +28,22 @@ class Utxo {
    * @param {BigNumber | BigInt | number | string} blinding Blinding factor
    * @param {Keypair} keypair
    * @param {number|null} index UTXO index in the merkle tree
+   * @param {string | Uint8Array | null} memo optional memo for the recipient, e.g. an invoice id. Strings are
+   * UTF-8 encoded, at most `MAX_MEMO_SIZE` bytes
    */
-  constructor({ amount = 0, keypair = new Keypair(), blinding = randomBN(), index = null } = {}) {
+  constructor({
+    amount = 0,
+    keypair = new Keypair(),
+    blinding = randomBN(),
+    index = null,
+    memo = null,
+  } = {}) {
     this.amount = BigNumber.from(amount)
     this.blinding = BigNumber.from(blinding)
     this.keypair = keypair
     this.index = index
+    /** @type {Buffer|null} */
+    this.memo = toMemoBuffer(memo)
   }
 
   /**
@@ -53,17 +81,29 @@ class Utxo {
   }
 
   /**
-   * Encrypt UTXO data using the current keypair
+   * Encrypt UTXO data using the current keypair. Notes with a memo use the versioned layout, that is always
+   * padded to the same size. Notes without a memo use the legacy layout, unless `versioned` is set
    *
+   * @param {boolean} versioned use the versioned layout without a memo, so that all outputs of a transaction
+   * have the same size
    * @returns {string} `0x`-prefixed hex string with data
    */
-  encrypt() {
-    const bytes = Buffer.concat([toBuffer(this.amount, 31), toBuffer(this.blinding, 31)])
+  encrypt({ versioned = this.memo !== null } = {}) {
+    const note = Buffer.concat([toBuffer(this.amount, 31), toBuffer(this.blinding, 31)])
+    if (!versioned) {
+      return this.keypair.encrypt(note)
+    }
+    const memo = this.memo || Buffer.alloc(0)
+    const bytes = Buffer.alloc(NOTE_SIZE)
+    bytes[0] = NOTE_VERSION
+    note.copy(bytes, 1)
+    bytes[1 + LEGACY_NOTE_SIZE] = memo.length
+    memo.copy(bytes, 2 + LEGACY_NOTE_SIZE)
     return this.keypair.encrypt(bytes)
   }
 
   /**
-   * Decrypt a UTXO
+   * Decrypt a UTXO, both legacy and versioned layouts are supported
    *
    * @param {Keypair} keypair keypair used to decrypt
    * @param {string} data hex string with data
@@ -71,14 +111,29 @@ class Utxo {
    * @returns {Utxo}
    */
   static decrypt(keypair, data, index) {
-    const buf = keypair.decrypt(data)
+    let buf = keypair.decrypt(data)
+    let memo = null
+    if (buf.length !== LEGACY_NOTE_SIZE) {
+      if (buf[0] !== NOTE_VERSION || buf.length !== NOTE_SIZE) {
+        throw new Error(`Unsupported note version ${buf[0]}`)
+      }
+      const memoLength = buf[1 + LEGACY_NOTE_SIZE]
+      if (memoLength > MAX_MEMO_SIZE) {
+        throw new Error(`Invalid memo length ${memoLength}`)
+      }
+      memo = buf.slice(2 + LEGACY_NOTE_SIZE, 2 + LEGACY_NOTE_SIZE + memoLength)
+      buf = buf.slice(1)
+    }
     return new Utxo({
       amount: BigNumber.from('0x' + buf.slice(0, 31).toString('hex')),
       blinding: BigNumber.from('0x' + buf.slice(31, 62).toString('hex')),
       keypair,
       index,
+      memo,
     })
   }
 }
 
+Utxo.MAX_MEMO_SIZE = MAX_MEMO_SIZE
+
 module.exports = Utxo
@@ -0,0 +1,91 @@
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+const { toFixedHex, queryEvents } = require('./utils')
+const Utxo = require('./utxo')
+
+const MAX_INPUTS = 16
+
+/**
+ * Rebuild the set of unspent UTXOs owned by a keypair from pool events. View-only keypairs can't compute
+ * nullifiers, so for them the result contains all received UTXOs, including spent ones
+ *
+ * @param {Contract} tornadoPool pool contract instance
+ * @param {Keypair} keypair keypair used to decrypt outputs and compute nullifiers
+ * @param {number} fromBlock block to start scanning from, e.g. pool deployment block
+ * @param {number} chunkSize maximum block range of a single events query
+ * @returns {Promise<{keypair: Keypair, utxos: Utxo[], balance: BigNumber}>}
+ */
+async function scanWallet({ tornadoPool, keypair, fromBlock = 0, chunkSize = 10000 }) {
+  // both event types are fetched up to the same block, so every spent output has its nullifier event
+  const toBlock = await tornadoPool.provider.getBlockNumber()
+  const query = (filter) => queryEvents({ contract: tornadoPool, filter, fromBlock, toBlock, chunkSize })
+  const commitmentEvents = await query(tornadoPool.filters.NewCommitment())
+  const nullifierEvents = await query(tornadoPool.filters.NewNullifier())
+  const spentNullifiers = new Set(nullifierEvents.map((e) => toFixedHex(e.args.nullifier)))
+
+  const utxos = []
+  for (const event of commitmentEvents) {
+    let utxo
+    try {
+      utxo = Utxo.decrypt(keypair, event.args.encryptedOutput, event.args.index.toNumber())
+    } catch (e) {
+      // output belongs to someone else
+      continue
+    }
+    // a successful decryption does not prove the note commits to our pubkey
+    if (utxo.amount.isZero() || !utxo.getCommitment().eq(event.args.commitment)) {
+      continue
+    }
+    if (!keypair.privkey) {
+      utxos.push(utxo)
+      continue
+    }
+    if (spentNullifiers.has(toFixedHex(utxo.getNullifier()))) {
+      continue
+    }
+    utxos.push(utxo)
+  }
+
+  return { keypair, utxos, balance: sumAmounts(utxos) }
+}
+
+/**
+ * Pick UTXOs that cover the specified amount. Largest notes are taken first to fit into as few inputs as
+ * possible
+ *
+ * @param {Utxo[]} utxos available unspent UTXOs
+ * @param {BigNumber | number | string} amount amount that inputs should cover
+ * @param {number} maxInputs maximum number of inputs to select
+ * @returns {Utxo[]}
+ */
+function selectInputs(utxos, amount, maxInputs = MAX_INPUTS) {
+  amount = BigNumber.from(amount)
+  const balance = sumAmounts(utxos)
+  if (balance.lt(amount)) {
+    throw new Error(`Insufficient funds: balance ${balance.toString()} is less than ${amount.toString()}`)
+  }
+
+  const sorted = utxos.filter((x) => x.amount.gt(0)).sort((a, b) => compareAmounts(b, a))
+  const inputs = []
+  let total = BigNumber.from(0)
+  while (total.lt(amount)) {
+    const utxo = sorted[inputs.length]
+    inputs.push(utxo)
+    total = total.add(utxo.amount)
+  }
+  if (inputs.length > maxInputs) {
+    const count = inputs.length
+    throw new Error(`Amount is spread across ${count} notes, more than ${maxInputs} inputs allowed`)
+  }
+  return inputs
+}
+
+function compareAmounts(a, b) {
+  return a.amount.eq(b.amount) ? 0 : a.amount.gt(b.amount) ? 1 : -1
+}
+
+function sumAmounts(utxos) {
+  return utxos.reduce((sum, x) => sum.add(x.amount), BigNumber.from(0))
+}
+
+module.exports = { scanWallet, selectInputs, sumAmounts, MAX_INPUTS }
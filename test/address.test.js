@@ -0,0 +1,17 @@
+const { expect } = require('chai')
+
+const { Keypair } = require('../src/keypair')
+
+describe('Shielded address', function () {
+  it('should encode checksummed address', () => {
+    const bobKeypair = new Keypair()
+    const bobAddress = bobKeypair.toAddress(10)
+    expect(bobAddress).to.match(/^nova1/)
+    expect(Keypair.fromString(bobAddress, 10).address()).to.be.equal(bobKeypair.address())
+    expect(Keypair.fromString(bobKeypair.address()).address()).to.be.equal(bobKeypair.address())
+
+    const typo = bobAddress.slice(0, 20) + (bobAddress[20] === 'q' ? 'p' : 'q') + bobAddress.slice(21)
+    expect(() => Keypair.fromString(typo)).to.throw('Invalid address checksum')
+    expect(() => Keypair.fromString(bobAddress, 1)).to.throw('Address is for chain 10')
+  })
+})
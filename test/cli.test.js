@@ -0,0 +1,38 @@
+const hre = require('hardhat')
+const { utils } = hre.ethers
+const { expect } = require('chai')
+
+const cli = require('../src/cli')
+const { TORNADO_POOL_ABI, L1_UNWRAPPER_ABI } = require('../src/abi')
+
+describe('CLI', function () {
+  it('should parse cli arguments', () => {
+    expect(
+      cli.parseArgs(['withdraw', '0xdead', '1.5', '--l1', '--l1-fee=0.1', '--from-block', '7']),
+    ).to.be.deep.equal({
+      command: 'withdraw',
+      args: ['0xdead', '1.5'],
+      options: { l1: true, l1Fee: '0.1', fromBlock: '7' },
+    })
+    expect(() => cli.parseArgs(['balance', '--pool'])).to.throw('Option --pool requires a value')
+    expect(
+      cli.createContext(cli.parseArgs(['transfer', '--l1-from-block', '9']).options, {}).settings.l1FromBlock,
+    ).to.be.equal(9)
+    expect(cli.createContext({}, { NOVA_L1_FROM_BLOCK: '8' }).settings.l1FromBlock).to.be.equal(8)
+  })
+
+  it('should ship contract ABIs matching the compiled contracts', async () => {
+    const selectors = (abi) => {
+      const iface = new utils.Interface(abi)
+      return [
+        ...Object.keys(iface.functions).map((name) => iface.getSighash(name)),
+        ...Object.keys(iface.events).map((name) => iface.getEventTopic(name)),
+      ].sort()
+    }
+    const pool = await hre.artifacts.readArtifact('TornadoPool')
+    expect(selectors(TORNADO_POOL_ABI)).to.be.deep.equal(selectors(pool.abi))
+    // the unwrapper ABI has only the methods used by the wallet
+    const unwrapper = await hre.artifacts.readArtifact('L1Unwrapper')
+    expect(selectors(unwrapper.abi)).to.include.members(selectors(L1_UNWRAPPER_ABI))
+  })
+})
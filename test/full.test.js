@@ -2,13 +2,38 @@ const hre = require('hardhat')
 const { ethers, waffle } = hre
 const { loadFixture } = waffle
 const { expect } = require('chai')
+const tmp = require('tmp-promise')
+const path = require('path')
+const { execFileSync } = require('child_process')
 const { utils } = ethers
 
 const Utxo = require('../src/utxo')
-const { transaction, registerAndTransact, prepareTransaction, buildMerkleTree } = require('../src/index')
-const { toFixedHex, poseidonHash } = require('../src/utils')
-const { Keypair } = require('../src/keypair')
-const { encodeDataForBridge } = require('./utils')
+const {
+  transaction,
+  registerAndTransact,
+  depositFromL1,
+  prepareTransaction,
+  buildMerkleTree,
+  buildSend,
+  send,
+} = require('../src/index')
+const { toFixedHex, encodeDataForBridge } = require('../src/utils')
+const { Keypair, KEY_DERIVATION_MESSAGE } = require('../src/keypair')
+const { scanWallet, selectInputs } = require('../src/wallet')
+const { planConsolidation, executeConsolidation } = require('../src/consolidation')
+const TreeStore = require('../src/treeStore')
+const EventIndexer = require('../src/indexer')
+const KeyRegistry = require('../src/registry')
+const { Relayer, createRelayerServer } = require('../src/relayer')
+const RelayerClient = require('../src/relayerClient')
+const { generateComplianceReport, verifyComplianceReport } = require('../src/compliance')
+const { trackBridgedDeposit, verifyDepositClaim } = require('../src/bridgeTracker')
+const { signPermit, transactWithPermit } = require('../src/permit')
+const { signRegistration, verifyRegistration, registerWithSignature } = require('../src/registration')
+const { buildHistory, historyToJSON, historyToCSV } = require('../src/history')
+const cli = require('../src/cli')
+const { WorkerProver, NativeProver, defaultProver } = require('../src/prover')
+const { httpRequest } = require('./utils')
 const config = require('../config')
 const { generate } = require('../src/0_generateAddresses')
 
@@ -48,7 +73,7 @@ describe('TornadoPool', function () {
     customConfig.omniBridge = omniBridge.address
     customConfig.weth = l1Token.address
     customConfig.multisig = multisig.address
-    const contracts = await generate(customConfig)
+    const contracts = generate(customConfig)
     await singletonFactory.deploy(contracts.unwrapperContract.bytecode, config.salt)
     const l1Unwrapper = await ethers.getContractAt('L1Unwrapper', contracts.unwrapperContract.address)
 
@@ -224,6 +249,81 @@ describe('TornadoPool', function () {
     expect(bobBalance).to.be.equal(bobWithdrawAmount)
   })
 
+  it('should deposit with permit', async function () {
+    const { tornadoPool, token } = await loadFixture(fixture)
+    const [, , , alice] = await ethers.getSigners()
+    await token.mint(alice.address, utils.parseEther('1'))
+    const aliceKeypair = new Keypair()
+    const aliceTornadoPool = tornadoPool.connect(alice)
+
+    const aliceDepositAmount = utils.parseEther('0.1')
+    const receipt = await transactWithPermit({
+      tornadoPool: aliceTornadoPool,
+      outputs: [new Utxo({ amount: aliceDepositAmount, keypair: aliceKeypair })],
+    })
+    expect(await token.balanceOf(tornadoPool.address)).to.be.equal(aliceDepositAmount)
+    expect(await token.allowance(alice.address, tornadoPool.address)).to.be.equal(0)
+    const history = await buildHistory({ tornadoPool, keypair: aliceKeypair })
+    expect(history.map(({ type, amount }) => [type, utils.formatEther(amount)])).to.be.deep.equal([
+      ['deposit', '0.1'],
+    ])
+    expect(history[0].txHash).to.be.equal(receipt.transactionHash)
+
+    // the same permit can't be used for another deposit
+    const tx = await ethers.provider.getTransaction(receipt.transactionHash)
+    const [, , deadline, v, r, s] = tornadoPool.interface.parseTransaction(tx).args
+    const { args, extData } = await prepareTransaction({
+      tornadoPool,
+      outputs: [new Utxo({ amount: aliceDepositAmount, keypair: aliceKeypair })],
+    })
+    await expect(aliceTornadoPool.transactWithPermit(args, extData, deadline, v, r, s)).to.be.reverted
+
+    // expired permit
+    const latest = await ethers.provider.getBlock('latest')
+    try {
+      await transactWithPermit({
+        tornadoPool: aliceTornadoPool,
+        outputs: [new Utxo({ amount: aliceDepositAmount, keypair: aliceKeypair })],
+        deadline: latest.timestamp - 1,
+      })
+      expect.fail('expired permit should be rejected')
+    } catch (e) {
+      expect(e.message).to.match(/reverted/)
+    }
+    expect(await token.balanceOf(tornadoPool.address)).to.be.equal(aliceDepositAmount)
+
+    // the permit is submitted by somebody else before the deposit
+    const frontrun = await prepareTransaction({
+      tornadoPool,
+      outputs: [new Utxo({ amount: aliceDepositAmount, keypair: aliceKeypair })],
+    })
+    const permit = await signPermit({
+      signer: alice,
+      tokenAddress: token.address,
+      spender: tornadoPool.address,
+      value: frontrun.extData.extAmount,
+      deadline: latest.timestamp + 3600,
+    })
+    await token['permit(address,address,uint256,uint256,uint8,bytes32,bytes32)'](
+      alice.address,
+      tornadoPool.address,
+      frontrun.extData.extAmount,
+      permit.deadline,
+      permit.v,
+      permit.r,
+      permit.s,
+    )
+    await aliceTornadoPool.transactWithPermit(
+      frontrun.args,
+      frontrun.extData,
+      permit.deadline,
+      permit.v,
+      permit.r,
+      permit.s,
+    )
+    expect(await token.balanceOf(tornadoPool.address)).to.be.equal(aliceDepositAmount.mul(2))
+  })
+
   it('should deposit from L1 and withdraw to L1', async function () {
     const { tornadoPool, token, omniBridge } = await loadFixture(fixture)
     const aliceKeypair = new Keypair() // contains private and public keys
@@ -276,6 +376,141 @@ describe('TornadoPool', function () {
     expect(omniBridgeBalance).to.be.equal(aliceWithdrawAmount)
   })
 
+  it('should withdraw with estimated L1 fee', async function () {
+    const { tornadoPool, token, omniBridge } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const l1Provider = ethers.provider
+
+    const aliceDepositAmount = utils.parseEther('0.07')
+    const aliceDepositUtxo = new Utxo({ amount: aliceDepositAmount, keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+
+    const aliceChangeUtxo = new Utxo({ amount: utils.parseEther('0.01'), keypair: aliceKeypair })
+    const receipt = await transaction({
+      tornadoPool,
+      inputs: [aliceDepositUtxo],
+      outputs: [aliceChangeUtxo],
+      recipient: '0xDeaD00000000000000000000000000000000BEEf',
+      isL1Withdrawal: true,
+      l1Fee: 'auto',
+      l1Provider,
+    })
+    const tx = await ethers.provider.getTransaction(receipt.transactionHash)
+    const [, extData] = tornadoPool.interface.parseTransaction(tx).args
+    expect(extData.l1Fee).to.be.gt(0)
+    expect(extData.l1Fee).to.be.lt(utils.parseEther('0.06'))
+    expect(await token.balanceOf(omniBridge.address)).to.be.equal(utils.parseEther('0.06'))
+  })
+
+  it('should deposit from L1 through unwrapper', async function () {
+    const { tornadoPool, token, omniBridge, l1Unwrapper, l1Token, sender } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+
+    const aliceDepositAmount = utils.parseEther('0.07')
+    const aliceDepositUtxo = new Utxo({ amount: aliceDepositAmount, keypair: aliceKeypair })
+    const warnings = []
+    const receipt = await depositFromL1({
+      l1Unwrapper,
+      tornadoPool,
+      outputs: [aliceDepositUtxo],
+      account: { owner: sender.address, publicKey: aliceKeypair.address() },
+      warn: (message) => warnings.push(message),
+    })
+    expect(warnings).to.have.lengthOf(1)
+
+    const logs = receipt.logs
+      .filter((log) => log.address !== l1Token.address)
+      .map((log) => (log.address === omniBridge.address ? omniBridge : l1Unwrapper).interface.parseLog(log))
+    const publicKeyEvent = logs.find((x) => x.name === 'PublicKey')
+    expect(publicKeyEvent.args.key).to.be.equal(aliceKeypair.address())
+    const relayEvent = logs.find((x) => x.name === 'RelayTokensAndCall')
+    expect(relayEvent.args.token).to.be.equal(l1Token.address)
+    expect(relayEvent.args.receiver).to.be.equal(tornadoPool.address)
+    expect(relayEvent.args.value).to.be.equal(aliceDepositAmount)
+
+    // emulating bridge delivery of the relayed message on L2
+    await token.transfer(omniBridge.address, aliceDepositAmount)
+    const transferTx = await token.populateTransaction.transfer(tornadoPool.address, aliceDepositAmount)
+    const onTokenBridgedTx = await tornadoPool.populateTransaction.onTokenBridged(
+      token.address,
+      relayEvent.args.value,
+      relayEvent.args.data,
+    )
+    await omniBridge.execute([
+      { who: token.address, callData: transferTx.data },
+      { who: tornadoPool.address, callData: onTokenBridgedTx.data },
+    ])
+
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    await transaction({ tornadoPool, inputs: [aliceDepositUtxo], recipient })
+    expect(await token.balanceOf(recipient)).to.be.equal(aliceDepositAmount)
+  })
+
+  it('should track bridged deposits', async function () {
+    const { tornadoPool, token, omniBridge, l1Unwrapper, multisig, sender } = await loadFixture(fixture)
+    const l1Provider = ethers.provider
+    const fromBlock = await ethers.provider.getBlockNumber()
+    const relayToL2 = async (receipt) => {
+      const { args } = receipt.logs
+        .filter((log) => log.address === omniBridge.address)
+        .map((log) => omniBridge.interface.parseLog(log))
+        .find((x) => x.name === 'RelayTokensAndCall')
+      await token.transfer(omniBridge.address, args.value)
+      const transferTx = await token.populateTransaction.transfer(tornadoPool.address, args.value)
+      const onTokenBridgedTx = await tornadoPool.populateTransaction.onTokenBridged(
+        token.address,
+        args.value,
+        args.data,
+      )
+      await omniBridge.execute([
+        { who: token.address, callData: transferTx.data },
+        { who: tornadoPool.address, callData: onTokenBridgedTx.data },
+      ])
+    }
+
+    const amount = utils.parseEther('0.07')
+    const deposit = await depositFromL1({
+      l1Unwrapper,
+      tornadoPool,
+      outputs: [new Utxo({ amount })],
+      warn: () => {},
+    })
+    const track = (l1TxHash) =>
+      trackBridgedDeposit({ l1Provider, l1TxHash, tornadoPool, fromBlock, chunkSize: 2 })
+    let result = await track(deposit.transactionHash)
+    expect(result.status).to.be.equal('pending')
+    expect(result.staleRoot).to.be.false
+    await relayToL2(deposit)
+    result = await track(deposit.transactionHash)
+    expect(result.status).to.be.equal('completed')
+    expect(result.claim).to.be.null
+
+    // extData changed after proving, so onTransact reverts and the tokens go to the multisig
+    const { args, extData } = await prepareTransaction({ tornadoPool, outputs: [new Utxo({ amount })] })
+    extData.encryptedOutput1 = extData.encryptedOutput2
+    const tx = await l1Unwrapper.wrapAndRelayTokens(
+      tornadoPool.address,
+      encodeDataForBridge({ proof: args, extData }),
+      { owner: ethers.constants.AddressZero, publicKey: '0x' },
+      { value: amount },
+    )
+    const brokenDeposit = await tx.wait()
+    await relayToL2(brokenDeposit)
+    expect(await token.balanceOf(multisig.address)).to.be.equal(amount)
+
+    result = await track(brokenDeposit.transactionHash)
+    expect(result.status).to.be.equal('failed')
+    const claim = JSON.parse(JSON.stringify(result.claim))
+    expect(claim.refundTo).to.be.equal(sender.address)
+    expect(claim.amount).to.be.equal(amount.toString())
+    expect(claim.multisig).to.be.equal(multisig.address)
+    expect(claim.possibleReasons).to.include('Incorrect external data hash')
+    expect(await verifyDepositClaim({ l1Provider, tornadoPool, claim })).to.be.empty
+
+    claim.refundTo = multisig.address
+    expect(await verifyDepositClaim({ l1Provider, tornadoPool, claim })).to.have.lengthOf(1)
+  })
+
   it('should withdraw with L1 fee', async function () {
     const { tornadoPool, token, omniBridge, l1Unwrapper, sender, l1Token } = await loadFixture(fixture)
     const aliceKeypair = new Keypair() // contains private and public keys
@@ -538,6 +773,758 @@ describe('TornadoPool', function () {
     })
   })
 
+  it('should scan wallet', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const bobKeypair = new Keypair()
+
+    // Alice deposits two notes and spends one of them
+    const aliceDepositUtxo1 = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    const aliceDepositUtxo2 = new Utxo({ amount: utils.parseEther('0.2'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo1, aliceDepositUtxo2] })
+
+    const bobSendUtxo = new Utxo({ amount: utils.parseEther('0.03'), keypair: bobKeypair })
+    const aliceChangeUtxo = new Utxo({ amount: utils.parseEther('0.07'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, inputs: [aliceDepositUtxo1], outputs: [bobSendUtxo, aliceChangeUtxo] })
+
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    expect(aliceWallet.utxos.length).to.be.equal(2)
+    expect(aliceWallet.balance).to.be.equal(utils.parseEther('0.27'))
+    expect(aliceWallet.utxos.map((x) => x.getCommitment())).to.have.deep.members([
+      aliceDepositUtxo2.getCommitment(),
+      aliceChangeUtxo.getCommitment(),
+    ])
+
+    const bobWallet = await scanWallet({ tornadoPool, keypair: bobKeypair })
+    expect(bobWallet.utxos.length).to.be.equal(1)
+    expect(bobWallet.balance).to.be.equal(utils.parseEther('0.03'))
+  })
+
+  it('should restore keypair from ethereum signer', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const signer = ethers.Wallet.createRandom()
+    const aliceKeypair = await Keypair.fromSigner(signer)
+    const aliceAccount1 = await Keypair.fromSigner(signer, 1)
+    expect(aliceAccount1.privkey).to.not.be.equal(aliceKeypair.privkey)
+
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+
+    // Alice has lost her keys and signs the message again
+    const signature = await signer.signMessage(KEY_DERIVATION_MESSAGE)
+    const restoredKeypair = Keypair.fromSignature(signature)
+    expect(restoredKeypair.privkey).to.be.equal(aliceKeypair.privkey)
+    expect(Keypair.fromSignature(signature, 1).privkey).to.be.equal(aliceAccount1.privkey)
+
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: restoredKeypair })
+    expect(aliceWallet.balance).to.be.equal(utils.parseEther('0.1'))
+  })
+
+  it('should scan wallet with view key', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const aliceKeypair = Keypair.withViewKey()
+    const bobKeypair = new Keypair()
+
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+    const bobSendUtxo = new Utxo({ amount: utils.parseEther('0.03'), keypair: bobKeypair })
+    const aliceChangeUtxo = new Utxo({ amount: utils.parseEther('0.07'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, inputs: [aliceDepositUtxo], outputs: [bobSendUtxo, aliceChangeUtxo] })
+
+    // auditor sees all received notes, but can't spend them
+    const auditorKeypair = Keypair.fromViewKey(aliceKeypair.exportViewKey())
+    expect(auditorKeypair.address()).to.be.equal(aliceKeypair.address())
+    const auditorWallet = await scanWallet({ tornadoPool, keypair: auditorKeypair })
+    expect(auditorWallet.utxos.map((x) => x.amount)).to.have.deep.members([
+      utils.parseEther('0.1'),
+      utils.parseEther('0.07'),
+    ])
+    expect(() => auditorWallet.utxos[0].getNullifier()).to.throw('Can not compute nullifier')
+    expect(() => auditorKeypair.sign(aliceChangeUtxo.getCommitment(), 1)).to.throw('Can not sign')
+  })
+
+  it('should send with automatic inputs selection', async function () {
+    const { tornadoPool, token } = await loadFixture(fixture)
+    const fromBlock = await ethers.provider.getBlockNumber()
+    const aliceKeypair = new Keypair()
+    const bobKeypair = new Keypair()
+
+    const aliceDepositUtxos = ['0.05', '0.02', '0.04'].map(
+      (amount) => new Utxo({ amount: utils.parseEther(amount), keypair: aliceKeypair }),
+    )
+    await transaction({ tornadoPool, outputs: aliceDepositUtxos.slice(0, 2) })
+    await transaction({ tornadoPool, outputs: aliceDepositUtxos.slice(2) })
+
+    // 0.08 needs 2 largest notes
+    let aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    await send({
+      tornadoPool,
+      wallet: aliceWallet,
+      amount: utils.parseEther('0.08'),
+      to: bobKeypair.toAddress((await ethers.provider.getNetwork()).chainId),
+    })
+
+    aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    expect(aliceWallet.balance).to.be.equal(utils.parseEther('0.03'))
+    expect(aliceWallet.utxos.length).to.be.equal(2)
+
+    // withdrawal spends all alice notes
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    await send({ tornadoPool, wallet: aliceWallet, amount: utils.parseEther('0.03'), recipient })
+    expect(await token.balanceOf(recipient)).to.be.equal(utils.parseEther('0.03'))
+
+    const bobWallet = await scanWallet({ tornadoPool, keypair: bobKeypair })
+    expect(bobWallet.balance).to.be.equal(utils.parseEther('0.08'))
+    // events are fetched in block ranges
+    const chunkedWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair, fromBlock, chunkSize: 1 })
+    expect(chunkedWallet.utxos).to.be.empty
+    expect(() => buildSend({ wallet: bobWallet, amount: utils.parseEther('0.09') })).to.throw(
+      'Insufficient funds',
+    )
+  })
+
+  it('should send encrypted memo', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const bobKeypair = new Keypair()
+
+    // legacy notes are still decrypted
+    const legacyUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    expect(Utxo.decrypt(aliceKeypair, legacyUtxo.encrypt(), 0).memo).to.be.equal(null)
+    expect(() => new Utxo({ memo: 'x'.repeat(Utxo.MAX_MEMO_SIZE + 1) })).to.throw('at most 64 bytes')
+    expect(() => buildSend({ wallet: { utxos: [] }, amount: 0, memo: 'test' })).to.throw(
+      'Memo can be attached only to a shielded transfer',
+    )
+
+    await transaction({ tornadoPool, outputs: [legacyUtxo] })
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    const receipt = await send({
+      tornadoPool,
+      wallet: aliceWallet,
+      amount: utils.parseEther('0.04'),
+      to: bobKeypair,
+      memo: 'invoice #42',
+    })
+
+    // the change output is padded to the same size
+    const events = receipt.events.filter((e) => e.event === 'NewCommitment').map((e) => e.args)
+    expect(utils.hexDataLength(events[0].encryptedOutput)).to.be.equal(
+      utils.hexDataLength(events[1].encryptedOutput),
+    )
+
+    const bobWallet = await scanWallet({ tornadoPool, keypair: bobKeypair })
+    expect(bobWallet.utxos[0].memo.toString()).to.be.equal('invoice #42')
+    const aliceChange = (await scanWallet({ tornadoPool, keypair: aliceKeypair })).utxos[0]
+    expect(aliceChange.amount).to.be.equal(utils.parseEther('0.06'))
+    expect(aliceChange.memo.length).to.be.equal(0)
+  })
+
+  it('should resolve ethereum address to registered key', async function () {
+    const { tornadoPool, l1Unwrapper, sender } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const bobKeypair = new Keypair()
+    const bobNewKeypair = new Keypair()
+    const fromBlock = await ethers.provider.getBlockNumber()
+    const registry = new KeyRegistry({ tornadoPool, l1Unwrapper, fromBlock, l1FromBlock: fromBlock })
+
+    await tornadoPool.register({ owner: sender.address, publicKey: bobKeypair.address() })
+    let record = await registry.resolve(sender.address)
+    expect(record.keypair.address()).to.be.equal(bobKeypair.address())
+    expect(record.reregistered).to.be.false
+
+    // bob has lost his keys and registers a new one
+    await tornadoPool.register({ owner: sender.address, publicKey: bobNewKeypair.address() })
+    record = await registry.resolve(sender.address)
+    expect(record.keypair.address()).to.be.equal(bobNewKeypair.address())
+    expect(record.reregistered).to.be.true
+
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    await send({
+      tornadoPool,
+      wallet: aliceWallet,
+      amount: utils.parseEther('0.04'),
+      to: sender.address,
+      registry,
+    })
+
+    const bobWallet = await scanWallet({ tornadoPool, keypair: bobNewKeypair })
+    expect(bobWallet.balance).to.be.equal(utils.parseEther('0.04'))
+
+    const unknown = ethers.Wallet.createRandom().address
+    try {
+      await registry.resolve(unknown)
+      expect.fail('resolve should fail')
+    } catch (e) {
+      expect(e.message).to.be.equal(`Address ${unknown} has no registered shielded key`)
+    }
+  })
+
+  it('should register with signature paid by another account', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const signers = await ethers.getSigners()
+    const alice = signers[3]
+    const relayerSigner = signers[signers.length - 1]
+    const aliceKeypair = new Keypair()
+    const fromBlock = await ethers.provider.getBlockNumber()
+    const registry = new KeyRegistry({ tornadoPool, fromBlock })
+
+    const registration = await signRegistration({ signer: alice, tornadoPool, keypair: aliceKeypair })
+    expect(await verifyRegistration({ tornadoPool, registration })).to.be.empty
+    const aliceBalance = await alice.getBalance()
+    await registerWithSignature({ tornadoPool, registration })
+    expect(await alice.getBalance()).to.be.equal(aliceBalance)
+    expect((await registry.resolve(alice.address)).keypair.address()).to.be.equal(aliceKeypair.address())
+
+    // replayed registration
+    expect(await verifyRegistration({ tornadoPool, registration })).to.be.deep.equal([
+      'Registration nonce 0 does not match the current nonce 1',
+    ])
+    await expect(registerWithSignature({ tornadoPool, registration })).to.be.revertedWith(
+      'invalid registration signature',
+    )
+
+    // key replaced by somebody else
+    const newRegistration = await signRegistration({ signer: alice, tornadoPool, keypair: new Keypair() })
+    const forged = { ...newRegistration, publicKey: new Keypair().address() }
+    expect(await verifyRegistration({ tornadoPool, registration: forged })).to.have.lengthOf(1)
+    await expect(registerWithSignature({ tornadoPool, registration: forged })).to.be.revertedWith(
+      'invalid registration signature',
+    )
+
+    const latest = await ethers.provider.getBlock('latest')
+    const expired = await signRegistration({
+      signer: alice,
+      tornadoPool,
+      keypair: aliceKeypair,
+      deadline: latest.timestamp - 1,
+    })
+    expect(await verifyRegistration({ tornadoPool, registration: expired })).to.be.deep.equal([
+      'Registration has expired',
+    ])
+    await expect(registerWithSignature({ tornadoPool, registration: expired })).to.be.revertedWith(
+      'registration signature expired',
+    )
+
+    // registrations are not sponsored by default
+    const relayer = new Relayer({ tornadoPool, signer: relayerSigner })
+    try {
+      await relayer.submitRegistration(newRegistration)
+      expect.fail('relayer should not sponsor registrations')
+    } catch (e) {
+      expect(e.code).to.be.equal('REGISTRATION_DISABLED')
+    }
+
+    // the same registration through a relayer
+    const server = createRelayerServer(
+      new Relayer({ tornadoPool, signer: relayerSigner, sponsorRegistrations: true, registrationLimit: 1 }),
+    )
+    await new Promise((resolve) => server.listen(0, resolve))
+    const relayerClient = new RelayerClient({ url: `http://localhost:${server.address().port}` })
+    try {
+      await relayerClient.submitRegistration(registration)
+      expect.fail('replayed registration should be rejected')
+    } catch (e) {
+      expect(e.code).to.be.equal('INVALID_REGISTRATION')
+    }
+    const id = await relayerClient.submitRegistration(newRegistration)
+    await relayerClient.waitForJob(id, { pollInterval: 100 })
+    const bobRegistration = await signRegistration({
+      signer: signers[4],
+      tornadoPool,
+      keypair: new Keypair(),
+    })
+    try {
+      await relayerClient.submitRegistration(bobRegistration)
+      expect.fail('registrations above the limit should be rejected')
+    } catch (e) {
+      expect(e.code).to.be.equal('RATE_LIMITED')
+    }
+    server.close()
+    const record = await registry.resolve(alice.address)
+    expect(record.keypair.address()).to.be.equal(newRegistration.publicKey)
+    expect(record.reregistered).to.be.true
+  })
+
+  it('should not select more than 16 inputs', () => {
+    const keypair = new Keypair()
+    const utxos = Array.from({ length: 17 }, () => new Utxo({ amount: 1, keypair }))
+    expect(selectInputs(utxos, 16).length).to.be.equal(16)
+    expect(() => selectInputs(utxos, 17)).to.throw('more than 16 inputs allowed')
+  })
+
+  it('should consolidate more than 16 notes', async function () {
+    this.timeout(120000)
+    const { tornadoPool, token } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+
+    const noteAmount = utils.parseEther('0.01')
+    for (let i = 0; i < 17; i += 2) {
+      const outputs = [new Utxo({ amount: noteAmount, keypair: aliceKeypair })]
+      if (i + 1 < 17) {
+        outputs.push(new Utxo({ amount: noteAmount, keypair: aliceKeypair }))
+      }
+      await transaction({ tornadoPool, outputs })
+    }
+
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    expect(aliceWallet.utxos.length).to.be.equal(17)
+
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    const plan = planConsolidation({ wallet: aliceWallet, amount: utils.parseEther('0.17'), recipient })
+    expect(plan.steps.map((x) => x.type)).to.be.deep.equal(['merge', 'spend'])
+
+    const progress = []
+    await executeConsolidation({ tornadoPool, plan, onProgress: ({ step }) => progress.push(step) })
+    expect(progress).to.be.deep.equal([1, 2])
+    expect(plan.steps.every((x) => x.done)).to.be.equal(true)
+    expect(await token.balanceOf(recipient)).to.be.equal(utils.parseEther('0.17'))
+
+    // executed plan is not sent again
+    await executeConsolidation({ tornadoPool, plan, onProgress: ({ step }) => progress.push(step) })
+    expect(progress).to.be.deep.equal([1, 2])
+  })
+
+  it('should sync merkle tree incrementally', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const fromBlock = await ethers.provider.getBlockNumber()
+    const dir = await tmp.dir({ unsafeCleanup: true })
+    const path = `${dir.path}/tree.json`
+
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1') })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+
+    const treeStore = new TreeStore({ tornadoPool, path, fromBlock, chunkSize: 2 })
+    let tree = await treeStore.sync()
+    expect(tree.elements().length).to.be.equal(2)
+    expect(tree.root()).to.be.equal(await tornadoPool.getLastRoot())
+
+    // spend using synced tree
+    const bobSendUtxo = new Utxo({ amount: utils.parseEther('0.1') })
+    await transaction({ tornadoPool, inputs: [aliceDepositUtxo], outputs: [bobSendUtxo], treeStore })
+
+    // restore from disk and fetch only new events
+    const restoredStore = new TreeStore({ tornadoPool, path, chunkSize: 2 })
+    tree = await restoredStore.sync()
+    expect(tree.elements().length).to.be.equal(4)
+    expect(tree.root()).to.be.equal(await tornadoPool.getLastRoot())
+    expect(restoredStore.lastBlock).to.be.equal(await ethers.provider.getBlockNumber())
+    expect(tree.root()).to.be.equal((await buildMerkleTree({ tornadoPool })).root())
+
+    await dir.cleanup()
+  })
+
+  it('should rebuild merkle tree after chain reorganisation', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const fromBlock = await ethers.provider.getBlockNumber()
+    const dir = await tmp.dir({ unsafeCleanup: true })
+    const path = `${dir.path}/tree.json`
+    const treeStore = new TreeStore({ tornadoPool, path, fromBlock })
+
+    const snapshotId = await ethers.provider.send('evm_snapshot', [])
+    await transaction({ tornadoPool, outputs: [new Utxo({ amount: utils.parseEther('0.1') })] })
+    await treeStore.sync()
+
+    // the synced deposit is orphaned and another one takes its place
+    await ethers.provider.send('evm_revert', [snapshotId])
+    await transaction({ tornadoPool, outputs: [new Utxo({ amount: utils.parseEther('0.2') })] })
+    await ethers.provider.send('evm_mine', [])
+
+    const restoredStore = new TreeStore({ tornadoPool, path })
+    const tree = await restoredStore.sync()
+    expect(tree.elements().length).to.be.equal(2)
+    expect(tree.root()).to.be.equal(await tornadoPool.getLastRoot())
+    expect(restoredStore.fromBlock).to.be.equal(fromBlock)
+
+    await dir.cleanup()
+  })
+
+  it('should roll back events from orphaned blocks', async function () {
+    const { tornadoPool, sender } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const bobKeypair = new Keypair()
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1
+    const indexer = new EventIndexer({ contract: tornadoPool, fromBlock })
+    const confirmedIndexer = new EventIndexer({ contract: tornadoPool, fromBlock, confirmations: 1 })
+
+    await tornadoPool.register({ owner: sender.address, publicKey: aliceKeypair.address() })
+    const snapshotId = await ethers.provider.send('evm_snapshot', [])
+    await tornadoPool.register({ owner: sender.address, publicKey: bobKeypair.address() })
+
+    await indexer.sync()
+    await confirmedIndexer.sync()
+    expect(indexer.getEvents('PublicKey').map((e) => e.args.key)).to.be.deep.equal([
+      aliceKeypair.address(),
+      bobKeypair.address(),
+    ])
+    // the last block is not confirmed yet
+    expect(confirmedIndexer.getEvents('PublicKey').map((e) => e.args.key)).to.be.deep.equal([
+      aliceKeypair.address(),
+    ])
+
+    // replace the block with bob registration by empty blocks
+    await ethers.provider.send('evm_revert', [snapshotId])
+    await ethers.provider.send('evm_mine', [])
+    await ethers.provider.send('evm_mine', [])
+
+    const { added, removed } = await indexer.sync()
+    expect(added.length).to.be.equal(0)
+    expect(removed.map((e) => e.args.key)).to.be.deep.equal([bobKeypair.address()])
+    expect(indexer.getEvents('PublicKey').map((e) => e.args.key)).to.be.deep.equal([aliceKeypair.address()])
+    expect(indexer.lastBlock).to.be.equal(await ethers.provider.getBlockNumber())
+
+    await confirmedIndexer.sync()
+    expect(confirmedIndexer.getEvents('PublicKey').map((e) => e.args.key)).to.be.deep.equal([
+      aliceKeypair.address(),
+    ])
+  })
+
+  it('should fail simulation before proving', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1') })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+
+    async function getErrors(params) {
+      try {
+        await prepareTransaction({ tornadoPool, ...params })
+      } catch (e) {
+        return e.errors.map((x) => x.code)
+      }
+      throw new Error('Transaction simulation should fail')
+    }
+
+    // spend the same note twice
+    await transaction({ tornadoPool, inputs: [aliceDepositUtxo], outputs: [new Utxo({ amount: 1 })] })
+    const changeUtxo = new Utxo({ amount: utils.parseEther('0.1') })
+    expect(await getErrors({ inputs: [aliceDepositUtxo], outputs: [changeUtxo] })).to.be.deep.equal([
+      'INPUT_SPENT',
+    ])
+
+    const depositUtxo = new Utxo({ amount: MAXIMUM_DEPOSIT_AMOUNT.add(1) })
+    expect(await getErrors({ outputs: [depositUtxo] })).to.be.deep.equal(['DEPOSIT_LIMIT'])
+
+    const withdrawUtxo = new Utxo({ amount: 1, keypair: aliceDepositUtxo.keypair })
+    await transaction({ tornadoPool, outputs: [withdrawUtxo] })
+    expect(await getErrors({ inputs: [withdrawUtxo] })).to.be.deep.equal(['ZERO_RECIPIENT'])
+  })
+
+  it('should explain invalid circuit input', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const hugeUtxo = new Utxo({ amount: ethers.BigNumber.from(2).pow(249) })
+
+    let error
+    try {
+      await prepareTransaction({ tornadoPool, outputs: [hugeUtxo], simulate: false })
+    } catch (e) {
+      error = e
+    }
+    expect(error.errors).to.have.lengthOf(1)
+    expect(error.errors[0]).to.match(/Output amount \d does not fit into 248 bits/)
+  })
+
+  it('should prove with worker and native provers', async function () {
+    this.timeout(120000)
+    const { tornadoPool, token } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const aliceDepositUtxo1 = new Utxo({ amount: utils.parseEther('0.02'), keypair: aliceKeypair })
+    const aliceDepositUtxo2 = new Utxo({ amount: utils.parseEther('0.03'), keypair: aliceKeypair })
+
+    // proofs are generated in parallel against the same root
+    const workerProver = new WorkerProver({ size: 2 })
+    const deposits = await Promise.all([
+      prepareTransaction({ tornadoPool, outputs: [aliceDepositUtxo1], prover: workerProver }),
+      prepareTransaction({ tornadoPool, outputs: [aliceDepositUtxo2], prover: workerProver }),
+    ])
+    workerProver.terminate()
+    for (const { args, extData } of deposits) {
+      await tornadoPool.transact(args, extData)
+    }
+
+    const nativeProver = new NativeProver({
+      command: 'npx',
+      args: ['snarkjs', 'groth16', 'prove', '{zkey}', '{witness}', '{proof}', '{public}'],
+    })
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    await transaction({
+      tornadoPool,
+      inputs: [aliceDepositUtxo1, aliceDepositUtxo2],
+      recipient,
+      prover: nativeProver,
+    })
+    expect(await token.balanceOf(recipient)).to.be.equal(utils.parseEther('0.05'))
+
+    // only workers keep the keys in memory
+    expect(defaultProver.keys).to.be.deep.equal({})
+  })
+
+  it('should withdraw through relayer', async function () {
+    const { tornadoPool, token } = await loadFixture(fixture)
+    const signers = await ethers.getSigners()
+    const relayerSigner = signers[signers.length - 1]
+    const server = createRelayerServer(new Relayer({ tornadoPool, signer: relayerSigner }))
+    await new Promise((resolve) => server.listen(0, resolve))
+    const url = `http://localhost:${server.address().port}`
+
+    const aliceKeypair = new Keypair()
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+
+    const { body: status } = await httpRequest(`${url}/status`)
+    expect(status.relayer).to.be.equal(relayerSigner.address)
+    const fee = ethers.BigNumber.from(status.fee)
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    const withdrawal = (fee) =>
+      prepareTransaction({
+        tornadoPool,
+        inputs: [aliceDepositUtxo],
+        recipient,
+        relayer: relayerSigner.address,
+        fee,
+      })
+
+    let response = await httpRequest(`${url}/transaction`, {
+      method: 'POST',
+      body: await withdrawal(fee.div(2)),
+    })
+    expect(response.status).to.be.equal(400)
+    expect(response.body.code).to.be.equal('FEE_TOO_LOW')
+
+    // a deposit would be paid from the relayer allowance
+    await token.connect(relayerSigner).approve(tornadoPool.address, utils.parseEther('1'))
+    const deposit = await prepareTransaction({
+      tornadoPool,
+      outputs: [new Utxo({ amount: utils.parseEther('0.1') })],
+      relayer: relayerSigner.address,
+      fee,
+      simulate: false,
+    })
+    response = await httpRequest(`${url}/transaction`, { method: 'POST', body: deposit })
+    expect(response.status).to.be.equal(400)
+    expect(response.body.code).to.be.equal('INVALID_REQUEST')
+    expect(response.body.error).to.be.equal('Deposits can not be relayed')
+
+    // concurrent requests with the same inputs, only one of them is queued
+    const body = await withdrawal(fee)
+    const responses = await Promise.all([
+      httpRequest(`${url}/transaction`, { method: 'POST', body }),
+      httpRequest(`${url}/transaction`, { method: 'POST', body }),
+    ])
+    expect(responses.map((x) => x.status)).to.have.members([202, 400])
+    expect(responses.find((x) => x.status === 400).body.code).to.be.equal('INPUT_PENDING')
+    response = responses.find((x) => x.status === 202)
+    const job = await new RelayerClient({ url }).waitForJob(response.body.id, {
+      pollInterval: 100,
+      timeout: 60000,
+    })
+    server.close()
+
+    expect(job.status).to.be.equal('mined')
+    expect(await token.balanceOf(recipient)).to.be.equal(utils.parseEther('0.1').sub(fee))
+    expect(await token.balanceOf(relayerSigner.address)).to.be.equal(fee)
+  })
+
+  it('should send through relayer client with a fresh quote', async function () {
+    const { tornadoPool, token } = await loadFixture(fixture)
+    const signers = await ethers.getSigners()
+    const relayerSigner = signers[signers.length - 1]
+    const server = createRelayerServer(new Relayer({ tornadoPool, signer: relayerSigner }))
+    await new Promise((resolve) => server.listen(0, resolve))
+    const relayerClient = new RelayerClient({ url: `http://localhost:${server.address().port}` })
+
+    const aliceKeypair = new Keypair()
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    await transaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+
+    // the first quote is outdated by the time of submission
+    const { fee } = await relayerClient.getStatus()
+    const getStatus = relayerClient.getStatus.bind(relayerClient)
+    let quotes = 0
+    relayerClient.getStatus = async () => {
+      const status = await getStatus()
+      return quotes++ === 0 ? { ...status, fee: ethers.BigNumber.from(fee).div(2).toString() } : status
+    }
+
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    const receipt = await send({
+      tornadoPool,
+      wallet: aliceWallet,
+      amount: utils.parseEther('0.05'),
+      recipient,
+      relayerClient,
+      pollInterval: 100,
+    })
+    server.close()
+
+    expect(receipt.status).to.be.equal(1)
+    expect(quotes).to.be.equal(2)
+    expect(await token.balanceOf(recipient)).to.be.equal(utils.parseEther('0.05'))
+    expect(await token.balanceOf(relayerSigner.address)).to.be.equal(fee)
+    const aliceChange = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+    expect(aliceChange.balance).to.be.equal(utils.parseEther('0.05').sub(fee))
+  })
+
+  it('should not trust relayer job reports', async function () {
+    const { tornadoPool } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    await transaction({
+      tornadoPool,
+      outputs: [new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })],
+    })
+    const aliceWallet = await scanWallet({ tornadoPool, keypair: aliceKeypair })
+
+    // the relayer reports a mined job, but never sends the transaction
+    const relayerClient = {
+      getStatus: () =>
+        Promise.resolve({ pool: tornadoPool.address, relayer: ethers.constants.AddressZero, fee: '0' }),
+      submit: () => Promise.resolve('job'),
+      waitForJob: (id) => Promise.resolve({ id, status: 'mined', txHash: toFixedHex(1), error: null }),
+    }
+    try {
+      await send({
+        tornadoPool,
+        wallet: aliceWallet,
+        amount: utils.parseEther('0.05'),
+        recipient: '0xDeaD00000000000000000000000000000000BEEf',
+        relayerClient,
+        pollInterval: 100,
+        timeout: 500,
+      })
+      expect.fail('send should time out')
+    } catch (e) {
+      expect(e.message).to.match(/^Inputs are not spent 500 ms after relayer reported transaction/)
+    }
+  })
+
+  it('should build transaction history', async function () {
+    const { tornadoPool, token, omniBridge } = await loadFixture(fixture)
+    const aliceKeypair = new Keypair()
+    const bobKeypair = new Keypair()
+    const relayer = '0x000000000000000000000000000000000000dEaD'
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+
+    // bridged deposit
+    const aliceDepositUtxo = new Utxo({ amount: utils.parseEther('0.1'), keypair: aliceKeypair })
+    const { args, extData } = await prepareTransaction({ tornadoPool, outputs: [aliceDepositUtxo] })
+    const onTokenBridgedTx = await tornadoPool.populateTransaction.onTokenBridged(
+      token.address,
+      aliceDepositUtxo.amount,
+      encodeDataForBridge({ proof: args, extData }),
+    )
+    await token.transfer(omniBridge.address, aliceDepositUtxo.amount)
+    const transferTx = await token.populateTransaction.transfer(tornadoPool.address, aliceDepositUtxo.amount)
+    await omniBridge.execute([
+      { who: token.address, callData: transferTx.data },
+      { who: tornadoPool.address, callData: onTokenBridgedTx.data },
+    ])
+
+    // transfer to bob through relayer
+    const bobSendUtxo = new Utxo({ amount: utils.parseEther('0.03'), keypair: bobKeypair })
+    const aliceChangeUtxo = new Utxo({ amount: utils.parseEther('0.069'), keypair: aliceKeypair })
+    await transaction({
+      tornadoPool,
+      inputs: [aliceDepositUtxo],
+      outputs: [bobSendUtxo, aliceChangeUtxo],
+      fee: utils.parseEther('0.001'),
+      relayer,
+    })
+
+    // L1 withdrawal
+    await transaction({
+      tornadoPool,
+      inputs: [aliceChangeUtxo],
+      recipient,
+      isL1Withdrawal: true,
+      l1Fee: utils.parseEther('0.009'),
+    })
+
+    const history = await buildHistory({ tornadoPool, keypair: aliceKeypair })
+    expect(history.map(({ type, amount }) => [type, utils.formatEther(amount)])).to.be.deep.equal([
+      ['deposit', '0.1'],
+      ['relayer_fee', '0.001'],
+      ['transfer_sent', '0.03'],
+      ['l1_withdrawal', '0.069'],
+    ])
+    expect(history[1].counterparty).to.be.equal(relayer)
+    expect(history[3].counterparty).to.be.equal(recipient)
+    expect(history[3].l1Fee).to.be.equal(utils.parseEther('0.009'))
+    expect(JSON.parse(historyToJSON(history))[0].amount).to.be.equal(utils.parseEther('0.1').toString())
+    expect(historyToCSV(history).trim().split('\n').length).to.be.equal(5)
+
+    const bobHistory = await buildHistory({ tornadoPool, keypair: bobKeypair })
+    expect(bobHistory.map(({ type, amount }) => [type, utils.formatEther(amount)])).to.be.deep.equal([
+      ['transfer_received', '0.03'],
+    ])
+  })
+
+  it('should manage wallet with cli commands', async function () {
+    const { tornadoPool, sender } = await loadFixture(fixture)
+    const dir = await tmp.dir({ unsafeCleanup: true })
+    const bobKeypair = new Keypair()
+    const recipient = '0xDeaD00000000000000000000000000000000BEEf'
+    const ctx = {
+      settings: {
+        fromBlock: await ethers.provider.getBlockNumber(),
+        dataDir: dir.path,
+        keyfile: `${dir.path}/key.json`,
+      },
+      options: {},
+      provider: ethers.provider,
+      signer: sender,
+      tornadoPool,
+    }
+
+    const { address } = await cli.commands.keygen(ctx)
+    try {
+      await cli.commands.keygen(ctx)
+      expect.fail('keygen should not overwrite the key')
+    } catch (e) {
+      expect(e.message).to.include('already exists')
+    }
+    expect((await cli.commands.address(ctx)).address).to.be.equal(address)
+
+    await cli.commands.deposit(ctx, ['0.1'])
+    await cli.commands.transfer(ctx, [bobKeypair.address(), '0.03'])
+    ctx.options = { l1: true, l1Fee: '0.01' }
+    const withdrawal = await cli.commands.withdraw(ctx, [recipient, '0.05'])
+    expect(withdrawal.l1Fee).to.be.equal('0.01')
+
+    ctx.options = {}
+    // L1 fee is paid out of the withdrawn amount
+    expect((await cli.commands.balance(ctx)).balance).to.be.equal('0.02')
+    const history = await cli.commands.history(ctx)
+    expect(history.map((x) => x.type)).to.be.deep.equal(['deposit', 'transfer_sent', 'l1_withdrawal'])
+    ctx.options = { format: 'csv' }
+    expect(await cli.commands.history(ctx)).to.match(/^timestamp,date,blockNumber/)
+    await dir.cleanup()
+  })
+
+  it('should load sdk without hardhat', () => {
+    // the child process fails to resolve hardhat as if it was not installed
+    const script = `
+      const Module = require('module')
+      const resolve = Module._resolveFilename
+      Module._resolveFilename = function (request, ...rest) {
+        if (request === 'hardhat' || request.startsWith('hardhat/')) {
+          throw new Error('Cannot find module ' + request)
+        }
+        return resolve.call(this, request, ...rest)
+      }
+      for (const name of ['index', 'wallet', 'registry', 'treeStore', 'history', 'relayer', 'relayerClient', 'cli']) {
+        require('./src/' + name)
+      }
+      const { Keypair } = require('./src/keypair')
+      const Utxo = require('./src/utxo')
+      const utxo = new Utxo({ amount: 1, keypair: new Keypair() })
+      const { poolContract } = require('./src/0_generateAddresses').generate()
+      process.stdout.write(Utxo.decrypt(utxo.keypair, utxo.encrypt(), 0).amount.toString() + ' ' + poolContract.address)
+    `
+    const output = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') })
+    const { poolContract } = generate(config)
+    expect(output.toString()).to.be.equal(`1 ${poolContract.address}`)
+  })
+
   it('should be compliant', async function () {
     // basically verifier should check if a commitment and a nullifier hash are on chain
     const { tornadoPool } = await loadFixture(fixture)
@@ -555,49 +1542,36 @@ describe('TornadoPool', function () {
     await receipt.wait()
 
     // withdrawal
-    await transaction({
+    const withdrawal = await transaction({
       tornadoPool,
       inputs: [aliceDepositUtxo],
       outputs: [],
       recipient: sender.address,
     })
 
-    const tree = await buildMerkleTree({ tornadoPool })
-    const commitment = aliceDepositUtxo.getCommitment()
-    const index = tree.indexOf(toFixedHex(commitment)) // it's the same as merklePath and merklePathIndexes and index in the tree
-    aliceDepositUtxo.index = index
-    const nullifier = aliceDepositUtxo.getNullifier()
-
     // commitment = hash(amount, pubKey, blinding)
     // nullifier = hash(commitment, merklePath, sign(merklePath, privKey))
-    const dataForVerifier = {
-      commitment: {
-        amount: aliceDepositUtxo.amount,
-        pubkey: aliceDepositUtxo.keypair.pubkey,
-        blinding: aliceDepositUtxo.blinding,
-      },
-      nullifier: {
-        commitment,
-        merklePath: index,
-        signature: aliceDepositUtxo.keypair.sign(commitment, index),
-      },
-    }
+    const report = await generateComplianceReport({ tornadoPool, utxo: aliceDepositUtxo })
+    const tree = await buildMerkleTree({ tornadoPool })
+    expect(report.nullifier.merklePath).to.be.equal(
+      tree.indexOf(toFixedHex(aliceDepositUtxo.getCommitment())),
+    )
+    expect(report.deposit.txHash).to.be.equal(receipt.hash)
+    expect(report.spend.txHash).to.be.equal(withdrawal.transactionHash)
 
-    // generateReport(dataForVerifier) -> compliance report
     // on the verifier side we compute commitment and nullifier and then check them onchain
-    const commitmentV = poseidonHash([...Object.values(dataForVerifier.commitment)])
-    const nullifierV = poseidonHash([
-      commitmentV,
-      dataForVerifier.nullifier.merklePath,
-      dataForVerifier.nullifier.signature,
-    ])
-
-    expect(commitmentV).to.be.equal(commitment)
-    expect(nullifierV).to.be.equal(nullifier)
-    expect(await tornadoPool.nullifierHashes(nullifierV)).to.be.equal(true)
-    // expect commitmentV present onchain (it will be in NewCommitment events)
+    const serializedReport = JSON.parse(JSON.stringify(report))
+    expect(await verifyComplianceReport({ tornadoPool, report: serializedReport })).to.be.deep.equal([])
 
     // in report we can see the tx with NewCommitment event (this is how alice got money)
     // and the tx with NewNullifier event is where alice spent the UTXO
+    const forgedReport = { ...serializedReport, commitment: { ...serializedReport.commitment, amount: '1' } }
+    expect(await verifyComplianceReport({ tornadoPool, report: forgedReport })).to.include(
+      'Commitment does not match its preimage',
+    )
+    const hiddenSpendReport = { ...serializedReport, spend: null }
+    expect(
+      await verifyComplianceReport({ tornadoPool, report: hiddenSpendReport, chunkSize: 1 }),
+    ).to.be.deep.equal(['Report says the UTXO is unspent, but the nullifier is spent'])
   })
 })
@@ -0,0 +1,41 @@
+const { expect } = require('chai')
+
+const Utxo = require('../src/utxo')
+const { Keypair } = require('../src/keypair')
+
+describe('Keypair', function () {
+  it('should derive keypair with view key from seed', () => {
+    const seedKeypair = Keypair.fromSeed('0x' + '11'.repeat(32))
+    expect(seedKeypair.privkey).to.be.equal(
+      '0x4ee7dbff5a1564b291e87774dc6220bf6ab04a4a0e082290570b1f02c5c8d1ba',
+    )
+    expect(seedKeypair.viewKey).to.be.equal(
+      '0x8561264f639d3cd6f7bb76c491007aca7872c596f8ee7ead12f71edae3ab9d3b',
+    )
+    // derived keypairs have a separate view key, so their address differs from the legacy keypair
+    expect(seedKeypair.address()).to.be.equal(Keypair.withViewKey(seedKeypair.privkey).address())
+    expect(seedKeypair.address()).to.not.be.equal(new Keypair(seedKeypair.privkey).address())
+
+    // notes sent to the address derived before view keys were added are restored with the legacy keypair
+    const legacyKeypair = new Keypair(seedKeypair.privkey)
+    const legacyUtxo = new Utxo({ amount: 1, keypair: Keypair.fromString(legacyKeypair.address()) })
+    const restored = Utxo.decrypt(legacyKeypair, legacyUtxo.encrypt(), 0)
+    expect(restored.amount).to.be.equal(1)
+    expect(restored.getCommitment()).to.be.equal(legacyUtxo.getCommitment())
+    expect(() => Utxo.decrypt(seedKeypair, legacyUtxo.encrypt(), 0)).to.throw()
+  })
+
+  it('should export view key', () => {
+    const aliceKeypair = Keypair.withViewKey()
+    const bobKeypair = new Keypair()
+
+    // exported view key is secret and can't be mistaken for an address
+    expect(aliceKeypair.exportViewKey()).to.match(/^novaview:[0-9a-f]{128}$/)
+    expect(Keypair.fromViewKey(aliceKeypair.exportViewKey()).address()).to.be.equal(aliceKeypair.address())
+    expect(() => Keypair.fromString(aliceKeypair.exportViewKey())).to.throw('secret view key')
+    expect(() => Keypair.fromViewKey(aliceKeypair.address())).to.throw('View key should start with novaview:')
+
+    // legacy keypairs decrypt notes with the private key
+    expect(() => bobKeypair.exportViewKey()).to.throw('Legacy keypair')
+  })
+})
@@ -0,0 +1,79 @@
+const { expect } = require('chai')
+const tmp = require('tmp-promise')
+const fs = require('fs')
+
+const { Keypair } = require('../src/keypair')
+const Keystore = require('../src/keystore')
+const cli = require('../src/cli')
+
+describe('Keystore', function () {
+  this.timeout(20000)
+
+  it('should keep keys in encrypted keystore', async function () {
+    const kdfparams = { n: 1024, r: 8, p: 1, dklen: 32 }
+    const aliceKeypair = Keypair.withViewKey()
+    const bobViewKeypair = Keypair.fromViewKey(Keypair.withViewKey().exportViewKey())
+
+    const keystore = await Keystore.create('alice password', kdfparams)
+    const id = keystore.addKey(aliceKeypair, { label: 'main', createdBlock: 10 })
+    keystore.addKey(bobViewKeypair, { label: 'bob' })
+    const json = JSON.stringify(keystore)
+    expect(json).to.not.include(aliceKeypair.privkey.slice(2))
+    expect(json).to.not.include(aliceKeypair.viewKey.slice(2))
+
+    const restored = Keystore.fromJSON(json)
+    expect(restored.locked).to.be.true
+    expect(restored.list().map((x) => [x.label, x.type, x.address])).to.be.deep.equal([
+      ['main', 'spend', aliceKeypair.address()],
+      ['bob', 'view', bobViewKeypair.address()],
+    ])
+    expect(() => restored.getKeypair(id)).to.throw('Keystore is locked')
+    try {
+      await restored.unlock('wrong password')
+      expect.fail('wrong password should be rejected')
+    } catch (e) {
+      expect(e.message).to.be.equal('Wrong password')
+    }
+    await restored.unlock('alice password')
+    expect(restored.getKeypair(id).privkey).to.be.equal(aliceKeypair.privkey)
+    expect(restored.getKeypair('main').viewKey).to.be.equal(aliceKeypair.viewKey)
+    expect(restored.getKeypair('bob').privkey).to.be.null
+    restored.updateKey('main', { lastScannedBlock: 20 })
+    expect(restored.list()[0].lastScannedBlock).to.be.equal(20)
+
+    await restored.changePassword('alice password', 'new password', kdfparams)
+    expect(restored.locked).to.be.false
+    restored.lock()
+    await restored.changePassword('new password', 'newer password', kdfparams)
+    expect(restored.locked).to.be.true
+    await restored.unlock('newer password')
+    expect(restored.getKeypair('main').address()).to.be.equal(aliceKeypair.address())
+
+    const exported = await restored.exportKeys(['main'], 'export password')
+    const other = await Keystore.create('other password', kdfparams)
+    expect(await other.importKeys(exported, 'export password')).to.be.deep.equal([id])
+    expect(await other.importKeys(exported, 'export password')).to.be.empty
+    expect(other.getKeypair('main').privkey).to.be.equal(aliceKeypair.privkey)
+    expect(other.list()[0].lastScannedBlock).to.be.equal(20)
+
+    // cli saves new keys into a keystore when a password is set
+    const dir = await tmp.dir({ unsafeCleanup: true })
+    const ctx = {
+      settings: { keyfile: `${dir.path}/key.json`, password: 'cli password', fromBlock: 5 },
+      options: {},
+    }
+    const { address } = await cli.commands.keygen(ctx)
+    expect(Keystore.fromJSON(fs.readFileSync(ctx.settings.keyfile).toString()).list()[0].address).to.be.equal(
+      address,
+    )
+    expect((await cli.commands.address(ctx)).address).to.be.equal(address)
+    ctx.settings.password = undefined
+    try {
+      await cli.commands.address(ctx)
+      expect.fail('encrypted key file should require password')
+    } catch (e) {
+      expect(e.message).to.include('NOVA_PASSWORD')
+    }
+    await dir.cleanup()
+  })
+})
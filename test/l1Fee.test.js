@@ -0,0 +1,40 @@
+const { expect } = require('chai')
+const { ethers } = require('ethers')
+const { BigNumber } = ethers
+
+const { estimateL1Fee, L1_WITHDRAWAL_GAS } = require('../src/l1Fee')
+
+describe('L1 fee', function () {
+  const gwei = (x) => ethers.utils.parseUnits(String(x), 'gwei')
+  const getProvider = ({ baseFeePerGas = null, maxPriorityFeePerGas = null, gasPrice = gwei(50) }) => ({
+    getBlock: () => Promise.resolve({ baseFeePerGas }),
+    getFeeData: () => Promise.resolve({ maxPriorityFeePerGas, gasPrice }),
+  })
+
+  it('should estimate L1 fee', async () => {
+    const l1Provider = getProvider({ baseFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) })
+    expect(await estimateL1Fee({ l1Provider, gasLimit: 100000, margin: 20 })).to.be.equal(
+      gwei(32).mul(100000).mul(120).div(100),
+    )
+    expect(await estimateL1Fee({ l1Provider })).to.be.equal(gwei(32).mul(L1_WITHDRAWAL_GAS).mul(110).div(100))
+
+    // networks without EIP-1559
+    expect(await estimateL1Fee({ l1Provider: getProvider({}), gasLimit: 100000, margin: 0 })).to.be.equal(
+      gwei(50).mul(100000),
+    )
+  })
+
+  it('should reject fee above the withdrawal amount', async () => {
+    const l1Provider = getProvider({})
+    try {
+      await estimateL1Fee({ l1Provider, amount: 1 })
+      expect.fail('fee above the amount should be rejected')
+    } catch (e) {
+      expect(e.message).to.match(/is not below the withdrawal amount 1$/)
+      expect(e.l1Fee).to.be.equal(gwei(50).mul(L1_WITHDRAWAL_GAS).mul(110).div(100))
+    }
+    // withdrawal amount is negative extAmount
+    const amount = BigNumber.from(ethers.utils.parseEther('-1'))
+    expect(await estimateL1Fee({ l1Provider, amount })).to.be.lt(amount.abs())
+  })
+})
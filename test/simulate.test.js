@@ -0,0 +1,70 @@
+const { expect } = require('chai')
+const { ethers } = require('ethers')
+
+const { toFixedHex, getExtDataHash, FIELD_SIZE } = require('../src/utils')
+const { simulateTransaction, calculatePublicAmount } = require('../src/simulate')
+
+describe('Transaction simulation', function () {
+  // pool state the checks depend on
+  const tornadoPool = {
+    maximumDepositAmount: () => Promise.resolve(ethers.utils.parseEther('1')),
+    isKnownRoot: (root) => Promise.resolve(root === toFixedHex(1)),
+    isSpent: (nullifier) => Promise.resolve(nullifier === toFixedHex(2)),
+  }
+
+  function getTransaction(params = {}) {
+    const extData = {
+      recipient: toFixedHex(0, 20),
+      extAmount: toFixedHex(0),
+      relayer: toFixedHex(0, 20),
+      fee: toFixedHex(0),
+      encryptedOutput1: '0x',
+      encryptedOutput2: '0x',
+      isL1Withdrawal: false,
+      l1Fee: 0,
+      ...params,
+    }
+    const args = {
+      root: toFixedHex(1),
+      inputNullifiers: [toFixedHex(3), toFixedHex(4)],
+      outputCommitments: [toFixedHex(5), toFixedHex(6)],
+      publicAmount: toFixedHex(calculatePublicAmount(extData.extAmount, extData.fee)),
+      extDataHash: toFixedHex(getExtDataHash(extData)),
+    }
+    return { args, extData }
+  }
+
+  it('should calculate public amount', () => {
+    expect(calculatePublicAmount(10, 3)).to.be.equal(7)
+    expect(calculatePublicAmount(-10, 3)).to.be.equal(FIELD_SIZE.sub(13))
+  })
+
+  it('should pass valid transaction', async () => {
+    expect(await simulateTransaction({ tornadoPool, ...getTransaction() })).to.be.deep.equal([])
+  })
+
+  it('should detect ext data tampered after hashing', async () => {
+    const { args, extData } = getTransaction()
+    extData.fee = toFixedHex(1)
+    const errors = await simulateTransaction({ tornadoPool, args, extData })
+    expect(errors.map((x) => x.code)).to.be.deep.equal(['EXT_DATA_HASH', 'PUBLIC_AMOUNT'])
+  })
+
+  it('should report pool conditions', async () => {
+    const { args, extData } = getTransaction({ extAmount: toFixedHex(-1) })
+    args.root = toFixedHex(7)
+    args.inputNullifiers = [toFixedHex(2)]
+    const errors = await simulateTransaction({ tornadoPool, args, extData })
+    expect(errors.map((x) => x.code)).to.be.deep.equal([
+      'UNKNOWN_ROOT',
+      'INPUT_SPENT',
+      'INPUT_COUNT',
+      'ZERO_RECIPIENT',
+    ])
+
+    const deposit = getTransaction({ extAmount: toFixedHex(ethers.utils.parseEther('2')) })
+    expect((await simulateTransaction({ tornadoPool, ...deposit })).map((x) => x.code)).to.be.deep.equal([
+      'DEPOSIT_LIMIT',
+    ])
+  })
+})
@@ -1,15 +1,18 @@
-const { ethers } = require('hardhat')
+const http = require('http')
 
-const abi = new ethers.utils.AbiCoder()
-
-function encodeDataForBridge({ proof, extData }) {
-  return abi.encode(
-    [
-      'tuple(bytes proof,bytes32 root,bytes32[] inputNullifiers,bytes32[2] outputCommitments,uint256 publicAmount,bytes32 extDataHash)',
-      'tuple(address recipient,int256 extAmount,address relayer,uint256 fee,bytes encryptedOutput1,bytes encryptedOutput2,bool isL1Withdrawal,uint256 l1Fee)',
-    ],
-    [proof, extData],
-  )
+/** Send HTTP request with optional JSON body and parse JSON response */
+function httpRequest(url, { method = 'GET', body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers: { 'Content-Type': 'application/json' } }, (res) => {
+      const chunks = []
+      res.on('data', (chunk) => chunks.push(chunk))
+      res.on('end', () =>
+        resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }),
+      )
+    })
+    req.on('error', reject)
+    req.end(body && JSON.stringify(body))
+  })
 }
 
-module.exports = { encodeDataForBridge }
+module.exports = { httpRequest }